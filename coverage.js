@@ -0,0 +1,124 @@
+'use strict'
+
+import yargs from 'yargs/yargs';
+import { hideBin } from 'yargs/helpers';
+import { writeFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { isAbsolute } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { argv as _argv } from 'node:process';
+import pretty from 'pino-pretty';
+import pino from 'pino';
+import { readModel } from './lib/model.js';
+import { resolveLibraryModule, REQUIRE_CONDITIONS, IMPORT_CONDITIONS } from './lib/resolve.js';
+import { getExportedSurface, computeCoverage, findMissingPaths, getSurfaceKey } from './lib/coverage.js';
+import { formatPath, formatType } from './lib/report.js';
+const logger = pino(pretty({ sync: true }));
+const require = createRequire(import.meta.url);
+
+let argv = yargs(hideBin(_argv))
+    .usage('Compare the paths exercised in a model with the API exported by the library')
+    .option('model', {
+        alias: 'm',
+        type: 'string',
+        description: 'Model path'
+    })
+    .option('library', {
+        alias: 'l',
+        type: 'string',
+        description: 'Library name or path (override the library specified in the model)'
+    })
+    .option('depth', {
+        alias: 'd',
+        type: 'number',
+        description: 'Number of property levels of the exports walked',
+        default: 3
+    })
+    .option('output', {
+        alias: 'o',
+        type: 'string',
+        description: 'Output path for the coverage in JSON'
+    })
+    .demandOption(['model'])
+    .help().parse();
+
+let model;
+try {
+    let result = readModel(argv.model);
+    for (let note of result.notes) {
+        logger.info(`${argv.model}: ${note}`);
+    }
+    model = result.model;
+} catch (e) {
+    logger.error(e.message);
+    process.exit(1);
+}
+
+/* The modules at the roots of the model, loaded the way the clients loaded them */
+let roots = new Map();
+for (let { path } of model.paths) {
+    if (path.length === 1 && (path[0].compType === 'require' || path[0].compType === 'import')) {
+        roots.set(getSurfaceKey(path), path[0]);
+    }
+}
+let modules = new Map();
+let surface = [];
+for (let [key, rootComp] of roots) {
+    let value;
+    try {
+        if (rootComp.compType === 'require') {
+            value = require(resolveLibraryModule(rootComp.moduleName, argv.library, REQUIRE_CONDITIONS));
+        } else {
+            let modulePath = resolveLibraryModule(rootComp.moduleName, argv.library, IMPORT_CONDITIONS);
+            value = await import(isAbsolute(modulePath) ? pathToFileURL(modulePath).href : modulePath);
+        }
+    } catch (e) {
+        logger.warn(`Cannot load ${formatPath([rootComp])}: ${e.message}`);
+        continue;
+    }
+    modules.set(key, value);
+    surface.push(...getExportedSurface(value, rootComp, argv.depth));
+}
+
+let coverage = computeCoverage(surface, model);
+let missing = findMissingPaths(model, modules);
+
+const describeArity = entry => entry.arity === 1 ? '1 parameter' : `${entry.arity} parameters`;
+for (let entry of coverage) {
+    if (!entry.touched) {
+        logger.info(`Never touched (${entry.kind}): ${formatPath(entry.path)}`);
+    } else if (entry.kind === 'class' && !entry.constructed) {
+        logger.info(`Never constructed: ${formatPath(entry.path)} (${describeArity(entry)})`);
+    } else if (entry.kind === 'function' && !entry.called && !entry.constructed) {
+        logger.info(`Never called: ${formatPath(entry.path)} (${describeArity(entry)})`);
+    }
+}
+for (let { path, type } of missing) {
+    logger.warn(`No longer exposed: ${formatPath(path)}: ${formatType(type)}`);
+}
+
+let functions = coverage.filter(entry => entry.kind === 'function');
+let classes = coverage.filter(entry => entry.kind === 'class');
+let summary = {
+    exports: coverage.length,
+    touched: coverage.filter(entry => entry.touched).length,
+    functions: functions.length,
+    called: functions.filter(entry => entry.called || entry.constructed).length,
+    classes: classes.length,
+    constructed: classes.filter(entry => entry.constructed).length,
+    missing: missing.length
+};
+logger.info(`${summary.touched} of ${summary.exports} exports touched, ${summary.called} of ${summary.functions} functions called, ${summary.constructed} of ${summary.classes} classes constructed, ${summary.missing} model paths no longer exposed`);
+
+if (argv.output) {
+    let withPathStrings = entries => entries.map(e => Object.assign({ pathString: formatPath(e.path) }, e));
+    writeFileSync(argv.output, JSON.stringify({
+        model: argv.model,
+        library: argv.library,
+        depth: argv.depth,
+        summary: summary,
+        exports: withPathStrings(coverage),
+        missing: withPathStrings(missing)
+    }, null, 2) + '\n');
+    logger.info(`Written to the file ${argv.output}`);
+}
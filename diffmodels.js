@@ -0,0 +1,82 @@
+'use strict'
+
+import yargs from 'yargs/yargs';
+import { hideBin } from 'yargs/helpers';
+import { writeFileSync } from 'node:fs';
+import { argv as _argv } from 'node:process';
+import pretty from 'pino-pretty';
+import pino from 'pino';
+import { diffModels, readModel } from './lib/model.js';
+import { formatPath, formatType } from './lib/report.js';
+const logger = pino(pretty({ sync: true }));
+
+let argv = yargs(hideBin(_argv))
+    .usage('Compare the API surface observed in two models of the same client, e.g. generated against two library versions')
+    .option('old', {
+        type: 'string',
+        description: 'Path of the model generated against the old library version'
+    })
+    .option('new', {
+        type: 'string',
+        description: 'Path of the model generated against the new library version'
+    })
+    .option('output', {
+        alias: 'o',
+        type: 'string',
+        description: 'Output path for the differences in JSON'
+    })
+    .demandOption(['old', 'new'])
+    .help().parse();
+
+function loadModel(file) {
+    try {
+        let { model, notes } = readModel(file);
+        for (let note of notes) {
+            logger.info(`${file}: ${note}`);
+        }
+        return model;
+    } catch (e) {
+        logger.error(e.message);
+        process.exit(1);
+    }
+}
+
+let oldModel = loadModel(argv.old);
+let newModel = loadModel(argv.new);
+let diff = diffModels(oldModel, newModel);
+
+for (let { path, type, variance } of diff.removed) {
+    logger.info(`Removed (${variance}): ${formatPath(path)}: ${formatType(type)}`);
+}
+for (let { path, type, variance } of diff.added) {
+    logger.info(`Added (${variance}): ${formatPath(path)}: ${formatType(type)}`);
+}
+for (let { path, variance, oldType, newType, compatible } of diff.changed) {
+    let message = `Changed (${variance}): ${formatPath(path)}: ${formatType(oldType)} -> ${formatType(newType)}`;
+    if (compatible) {
+        logger.info(message);
+    } else {
+        logger.warn(message + ' (incompatible)');
+    }
+}
+
+let summary = {
+    added: diff.added.length,
+    removed: diff.removed.length,
+    changed: diff.changed.length,
+    incompatible: diff.changed.filter(c => !c.compatible).length
+};
+logger.info(`${summary.added} added, ${summary.removed} removed, ${summary.changed} changed (${summary.incompatible} incompatible)`);
+
+if (argv.output) {
+    let withPathStrings = entries => entries.map(e => Object.assign({ pathString: formatPath(e.path) }, e));
+    writeFileSync(argv.output, JSON.stringify({
+        old: argv.old,
+        new: argv.new,
+        summary: summary,
+        added: withPathStrings(diff.added),
+        removed: withPathStrings(diff.removed),
+        changed: withPathStrings(diff.changed)
+    }, null, 2) + '\n');
+    logger.info(`Written to the file ${argv.output}`);
+}
@@ -0,0 +1,126 @@
+'use strict'
+
+import yargs from 'yargs/yargs';
+import { hideBin } from 'yargs/helpers';
+import { existsSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { spawn } from 'node:child_process';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { argv as _argv } from 'node:process';
+import pretty from 'pino-pretty';
+import pino from 'pino';
+import { mergeModels, readModel } from './lib/model.js';
+import { findClientProjects } from './lib/corpus.js';
+const logger = pino(pretty({ sync: true }));
+
+const GENERATOR = join(dirname(fileURLToPath(import.meta.url)), 'generatemodel.js');
+
+let argv = yargs(hideBin(_argv))
+    .usage('Generate one API model for a library from the client projects found in a corpus directory')
+    .option('library', {
+        alias: 'l',
+        type: 'string',
+        description: 'The name of the library under test'
+    })
+    .option('corpus', {
+        type: 'string',
+        description: 'Directory of client projects; the projects whose package.json depends on the library are run'
+    })
+    .option('output', {
+        alias: 'o',
+        type: 'string',
+        description: 'Output path for the merged model'
+    })
+    .option('index', {
+        type: 'string',
+        description: 'Output path for the index of the client projects (by default, the output path with .index.json)'
+    })
+    .option('jobs', {
+        alias: 'j',
+        type: 'number',
+        description: 'Number of client files of a project run in parallel',
+        default: 1
+    })
+    .option('timeout', {
+        type: 'number',
+        description: 'Default timeout in milliseconds for each test and hook of Mocha or Jest projects'
+    })
+    .option('file-timeout', {
+        type: 'number',
+        description: 'Wall-clock time limit in milliseconds for each client file'
+    })
+    .option('max-memory', {
+        type: 'number',
+        description: 'Heap limit in megabytes for each client file'
+    })
+    .demandOption(['library', 'corpus', 'output'])
+    .help().parse();
+
+/**
+ * Run the model generator on a client project with its framework. Resolves to the exit code.
+ */
+function generateProjectModel(project, outputPath) {
+    let args = [GENERATOR, '--library', argv.library, '--client', project.path, '--output', outputPath, '--jobs', String(argv.jobs)];
+    if (project.framework !== 'plain') {
+        args.push('--' + project.framework);
+    }
+    for (let option of ['timeout', 'fileTimeout', 'maxMemory']) {
+        if (argv[option] !== undefined) {
+            args.push('--' + option.replace(/[A-Z]/g, c => '-' + c.toLowerCase()), String(argv[option]));
+        }
+    }
+    return new Promise(resolve => {
+        let child = spawn(process.execPath, args, { stdio: 'inherit' });
+        child.on('exit', (code, signal) => resolve(signal ? signal : code));
+    });
+}
+
+let projects = findClientProjects(argv.corpus, argv.library);
+logger.info(`Found ${projects.length} client projects of ${argv.library} in ${argv.corpus}`);
+
+let modelsDirectory = mkdtempSync(join(tmpdir(), 'noregrets-corpus-'));
+let models = [];
+let sourceNames = [];
+let clients = [];
+for (let [i, project] of projects.entries()) {
+    let client = { name: project.name, packageName: project.packageName, path: project.path, framework: project.framework };
+    clients.push(client);
+    if (!project.libraryInstalled) {
+        logger.warn(`Skipping ${project.name}: ${argv.library} is not installed in its node_modules`);
+        client.status = 'skipped';
+        client.reason = `${argv.library} is not installed`;
+        continue;
+    }
+    logger.info(`Generating the model of ${project.name} (${project.framework})`);
+    let modelPath = join(modelsDirectory, `${i}.json`);
+    let exitCode = await generateProjectModel(project, modelPath);
+    if (!existsSync(modelPath)) {
+        logger.warn(`No model generated for ${project.name} (exit code ${exitCode})`);
+        client.status = 'failed';
+        client.reason = `the generator exited with ${exitCode}`;
+        continue;
+    }
+    try {
+        let { model } = readModel(modelPath);
+        client.status = 'ok';
+        client.paths = model.paths.length;
+        /* Index into the sources of the merged model */
+        client.source = models.length;
+        models.push(model);
+        sourceNames.push(project.name);
+    } catch (e) {
+        logger.warn(`Invalid model generated for ${project.name}: ${e.message}`);
+        client.status = 'failed';
+        client.reason = e.message;
+    }
+}
+rmSync(modelsDirectory, { recursive: true, force: true });
+
+let merged = mergeModels(models, sourceNames);
+writeFileSync(argv.output, JSON.stringify(merged));
+logger.info(`Merged the models of ${models.length} of ${projects.length} client projects: ${merged.paths.length} paths, written to the file ${argv.output}`);
+
+let indexPath = argv.index || argv.output.replace(/\.json$/, '') + '.index.json';
+writeFileSync(indexPath, JSON.stringify({ library: argv.library, corpus: argv.corpus, model: argv.output, clients: clients }, null, 2) + '\n');
+logger.info(`Written the index of the client projects to the file ${indexPath}`);
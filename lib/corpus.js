@@ -0,0 +1,79 @@
+import { existsSync, readdirSync, readFileSync, statSync } from 'node:fs';
+import { join, relative, resolve } from 'node:path';
+import { resolveModule, REQUIRE_CONDITIONS, IMPORT_CONDITIONS } from './resolve.js';
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+/**
+ * Read the package.json of a project, or `undefined` if it has none or it cannot be parsed.
+ */
+function readPackageJson(dir) {
+    let file = join(dir, 'package.json');
+    if (!existsSync(file)) {
+        return undefined;
+    }
+    try {
+        return JSON.parse(readFileSync(file, { encoding: 'utf-8' }));
+    } catch (e) {
+        return undefined;
+    }
+}
+
+function dependsOn(pkg, library) {
+    return DEPENDENCY_FIELDS.some(field => pkg[field] !== null && typeof pkg[field] === 'object' && pkg[field][library] !== undefined);
+}
+
+/**
+ * Detect the test framework of a client project from its package.json: the framework run by
+ * its `test` script, otherwise the framework it depends on (`jest` or `mocha`). Projects using
+ * neither are run as plain scripts.
+ */
+function detectFramework(pkg) {
+    let testScript = pkg.scripts !== null && typeof pkg.scripts === 'object' && typeof pkg.scripts.test === 'string' ? pkg.scripts.test : '';
+    if (/\bjest\b/.test(testScript)) {
+        return 'jest';
+    }
+    if (/\bmocha\b/.test(testScript)) {
+        return 'mocha';
+    }
+    if (dependsOn(pkg, 'jest') || pkg.jest !== undefined) {
+        return 'jest';
+    }
+    if (dependsOn(pkg, 'mocha')) {
+        return 'mocha';
+    }
+    return 'plain';
+}
+
+/**
+ * Find the client projects of a library in a corpus directory: the directories (outside
+ * `node_modules`) with a package.json depending on the library, sorted by path. Each project
+ * gets its framework and whether the library is installed in its own `node_modules`.
+ */
+function findClientProjects(corpusDir, library) {
+    let root = resolve(corpusDir);
+    let projects = [];
+    const findRecursively = (dir) => {
+        let pkg = readPackageJson(dir);
+        if (pkg !== undefined && dependsOn(pkg, library)) {
+            projects.push({
+                name: relative(root, dir) || '.',
+                path: dir,
+                packageName: pkg.name,
+                framework: detectFramework(pkg),
+                libraryInstalled: resolveModule(library, dir, REQUIRE_CONDITIONS) !== undefined || resolveModule(library, dir, IMPORT_CONDITIONS) !== undefined
+            });
+        }
+        /* Packages of a monorepo are projects of their own */
+        for (let file of readdirSync(dir).sort()) {
+            let absolute = join(dir, file);
+            if (file !== 'node_modules' && !file.startsWith('.') && statSync(absolute).isDirectory()) {
+                findRecursively(absolute);
+            }
+        }
+    };
+    findRecursively(root);
+    return projects;
+}
+
+export { findClientProjects, detectFramework, readPackageJson };
@@ -0,0 +1,199 @@
+import { getType, getUnionMembers, serializeSymbol, createPropertyComponent, getPropertyKey } from './utils.js';
+
+/* Own properties of every function, which are not part of the API of a library */
+const FUNCTION_PROPERTIES = ['length', 'name', 'prototype', 'arguments', 'caller'];
+
+function isNative(fn) {
+    return /\{\s*\[native code\]\s*\}$/.test(Function.prototype.toString.call(fn));
+}
+
+/**
+ * A class, or a constructor written as a function with methods on its prototype.
+ */
+function isClass(value) {
+    if (typeof value !== 'function') {
+        return false;
+    }
+    if (/^class\b/.test(Function.prototype.toString.call(value))) {
+        return true;
+    }
+    return value.prototype !== null && typeof value.prototype === 'object' && !isNative(value) &&
+        Object.getOwnPropertyNames(value.prototype).some(key => key !== 'constructor');
+}
+
+/**
+ * The prototypes of the built-ins (`Object.prototype`, `Array.prototype`, `Error.prototype`, ...)
+ * end the prototype chains walked: their members belong to the language, not to the library.
+ */
+function isBuiltinPrototype(proto) {
+    if (proto === Object.prototype || proto === Function.prototype) {
+        return true;
+    }
+    let constructor = Object.getOwnPropertyDescriptor(proto, 'constructor');
+    return constructor !== undefined && typeof constructor.value === 'function' && isNative(constructor.value);
+}
+
+/**
+ * The own property keys of a value that can be modeled, i.e. without the properties common to
+ * all functions and the symbols that cannot be serialized.
+ */
+function getMemberKeys(value) {
+    return Reflect.ownKeys(value).filter(key => typeof key === 'symbol' ? serializeSymbol(key) !== undefined : !(typeof value === 'function' && FUNCTION_PROPERTIES.includes(key)));
+}
+
+/**
+ * The keys of the members defined along a prototype chain, up to the built-in prototypes.
+ * Returns the keys with the descriptor of the closest definition.
+ */
+function getPrototypeMembers(proto) {
+    let members = new Map();
+    while (proto !== null && !isBuiltinPrototype(proto)) {
+        for (let key of getMemberKeys(proto)) {
+            if (key !== 'constructor' && !members.has(key)) {
+                members.set(key, Object.getOwnPropertyDescriptor(proto, key));
+            }
+        }
+        proto = Object.getPrototypeOf(proto);
+    }
+    return members;
+}
+
+function createSurfaceEntry(path, value) {
+    if (isClass(value)) {
+        return { path: path, kind: 'class', arity: value.length };
+    }
+    if (typeof value === 'function') {
+        return { path: path, kind: 'function', arity: value.length };
+    }
+    return { path: path, kind: getType(value) };
+}
+
+/**
+ * Walk the exported surface of a library module to the given depth: the own and inherited
+ * properties of the exported values, and the members of the instances of exported classes
+ * (under a `new` path component). A value reachable through several paths is walked once.
+ */
+function getExportedSurface(value, rootComp, depth) {
+    let surface = [createSurfaceEntry([rootComp], value)];
+    let visited = new Set();
+    const walk = (value, path, depth) => {
+        if (depth === 0 || value === null || (typeof value !== 'object' && typeof value !== 'function') || visited.has(value)) {
+            return;
+        }
+        visited.add(value);
+        let keys = getMemberKeys(value);
+        for (let key of getPrototypeMembers(Object.getPrototypeOf(value)).keys()) {
+            if (!keys.includes(key)) {
+                keys.push(key);
+            }
+        }
+        for (let key of keys) {
+            let memberPath = path.concat([createPropertyComponent('accessProp', key)]);
+            let member;
+            try {
+                member = value[key];
+            } catch (e) {
+                surface.push({ path: memberPath, kind: 'accessor' });
+                continue;
+            }
+            surface.push(createSurfaceEntry(memberPath, member));
+            walk(member, memberPath, depth - 1);
+        }
+        if (isClass(value)) {
+            /* Accessors of the prototype are not read, as they expect an instance */
+            let instancePath = path.concat([{ compType: 'new' }]);
+            for (let [key, descriptor] of getPrototypeMembers(value.prototype)) {
+                let memberPath = instancePath.concat([createPropertyComponent('accessProp', key)]);
+                surface.push('value' in descriptor ? createSurfaceEntry(memberPath, descriptor.value) : { path: memberPath, kind: 'accessor' });
+            }
+        }
+    };
+    walk(value, [rootComp], depth);
+    return surface;
+}
+
+/**
+ * A key identifying a path regardless of its call identifiers. `super` components of client
+ * subclasses are members of the instance, like `accessProp` components.
+ */
+function getSurfaceKey(path) {
+    return JSON.stringify(path.map(pathComp => {
+        switch (pathComp.compType) {
+            case 'require':
+            case 'import':
+                return [pathComp.compType, pathComp.moduleName];
+            case 'accessProp':
+            case 'super':
+                return pathComp.symbol !== undefined ? ['accessProp', { symbol: pathComp.symbol }] : ['accessProp', pathComp.propName];
+            case 'element':
+                return [pathComp.compType, pathComp.index];
+            case 'mapGet':
+            case 'setHas':
+                return [pathComp.compType, pathComp.key];
+            default:
+                return [pathComp.compType];
+        }
+    }));
+}
+
+/**
+ * Compare the exported surface with the paths of a model: whether each export was read by the
+ * clients, and whether its functions were called and its classes constructed.
+ */
+function computeCoverage(surface, model) {
+    let exercised = new Set();
+    for (let { path } of model.paths) {
+        for (let i = 1; i <= path.length; i++) {
+            exercised.add(getSurfaceKey(path.slice(0, i)));
+        }
+    }
+    return surface.map(entry => {
+        let coverage = Object.assign({}, entry, { touched: exercised.has(getSurfaceKey(entry.path)) });
+        if (entry.kind === 'function' || entry.kind === 'class') {
+            coverage.called = exercised.has(getSurfaceKey(entry.path.concat([{ compType: 'call' }])));
+            coverage.constructed = exercised.has(getSurfaceKey(entry.path.concat([{ compType: 'new' }])));
+        }
+        return coverage;
+    });
+}
+
+/**
+ * Find the property paths of a model that the library no longer exposes. Only the paths made of
+ * property reads from a module can be resolved without running the clients; a property is then
+ * missing if it is not in the value or its prototype chain. Paths whose recorded type includes
+ * `undefined` were absent already, and only the first missing property of a path is reported. `modules` maps the surface key of each root to its value.
+ */
+function findMissingPaths(model, modules) {
+    let missing = [];
+    for (let { path, type } of model.paths) {
+        let last = path[path.length - 1];
+        if (path.length < 2 || last.compType !== 'accessProp' || getUnionMembers(type).includes('undefined')) {
+            continue;
+        }
+        let rootKey = getSurfaceKey(path.slice(0, 1));
+        if (!modules.has(rootKey)) {
+            continue;
+        }
+        let value = modules.get(rootKey);
+        let resolved = true;
+        for (let pathComp of path.slice(1, -1)) {
+            /* Members of instances may be assigned by the constructor, so paths through a construction are not resolved */
+            if (pathComp.compType !== 'accessProp' || value === null || value === undefined || !(getPropertyKey(pathComp) in Object(value))) {
+                resolved = false;
+                break;
+            }
+            try {
+                value = value[getPropertyKey(pathComp)];
+            } catch (e) {
+                resolved = false;
+                break;
+            }
+        }
+        if (resolved && value !== null && value !== undefined && !(getPropertyKey(last) in Object(value))) {
+            missing.push({ path: path, type: type });
+        }
+    }
+    return missing;
+}
+
+export { getExportedSurface, computeCoverage, findMissingPaths, getSurfaceKey };
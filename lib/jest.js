@@ -0,0 +1,848 @@
+import deepEqual from 'deep-equal';
+
+/**
+ * Names of the statements that Jest hoists above the rest of a test file.
+ */
+const HOISTED_JEST_METHODS = ['mock', 'unmock', 'enableAutomock', 'disableAutomock'];
+
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Check whether a file of a project (given by its path relative to the project) is a test file
+ * for the default `testMatch` of Jest: a file in a `__tests__` directory, or a `.test.js` or
+ * `.spec.js` file.
+ */
+function isJestTestFile(file) {
+    return file.split(/[\\/]/).indexOf('__tests__') >= 0 || /\.(test|spec)\.[cm]?js$/.test(file);
+}
+
+/**
+ * Error thrown by a failed `expect` assertion.
+ */
+class JestAssertionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'JestAssertionError';
+    }
+}
+
+function getTag(obj) {
+    return Object.prototype.toString.call(obj);
+}
+
+/* Asymmetric matchers are tagged with a Symbol, which instrumented library objects never record. */
+const ASYMMETRIC_MATCHER = Symbol.for('jest.asymmetricMatcher');
+
+function isAsymmetricMatcher(obj) {
+    return obj !== null && typeof obj === 'object' && obj[ASYMMETRIC_MATCHER] === true;
+}
+
+function stringify(value) {
+    if (typeof value === 'function') {
+        return `[Function ${value.name || 'anonymous'}]`;
+    }
+    if (typeof value === 'symbol' || typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (isAsymmetricMatcher(value)) {
+        return value.toString();
+    }
+    try {
+        let s = JSON.stringify(value);
+        return s === undefined ? String(value) : s;
+    } catch (e) {
+        return String(value);
+    }
+}
+
+/**
+ * Recursive equality used by `toEqual` (`strict` is false) and `toStrictEqual` (`strict` is true).
+ * Objects created in the client context come from another realm, so types are compared by tag.
+ */
+function equals(a, b, strict) {
+    if (isAsymmetricMatcher(b)) {
+        return b.asymmetricMatch(a);
+    }
+    if (isAsymmetricMatcher(a)) {
+        return a.asymmetricMatch(b);
+    }
+    if (Object.is(a, b)) {
+        return true;
+    }
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+        return false;
+    }
+    let tag = getTag(a);
+    if (tag !== getTag(b)) {
+        return false;
+    }
+    if (tag === '[object Date]') {
+        return a.getTime() === b.getTime();
+    }
+    if (tag === '[object RegExp]') {
+        return a.toString() === b.toString();
+    }
+    if (tag === '[object Map]' || tag === '[object Set]') {
+        return deepEqual(a, b, { strict: true });
+    }
+    if (tag === '[object Array]' && a.length !== b.length) {
+        return false;
+    }
+    if (strict && a.constructor !== b.constructor && (a.constructor || {}).name !== (b.constructor || {}).name) {
+        return false;
+    }
+    let keysA = Object.keys(a).filter(k => strict || a[k] !== undefined);
+    let keysB = Object.keys(b).filter(k => strict || b[k] !== undefined);
+    if (keysA.length !== keysB.length) {
+        return false;
+    }
+    for (let k of keysA) {
+        if (!Object.prototype.hasOwnProperty.call(b, k) || !equals(a[k], b[k], strict)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Check whether `object` contains every property of `subset` (used by `toMatchObject`).
+ */
+function matchesSubset(object, subset) {
+    if (isAsymmetricMatcher(subset)) {
+        return subset.asymmetricMatch(object);
+    }
+    if (subset === null || typeof subset !== 'object' || object === null || typeof object !== 'object') {
+        return equals(object, subset, false);
+    }
+    if (Array.isArray(subset)) {
+        return Array.isArray(object) && object.length === subset.length && subset.every((v, i) => matchesSubset(object[i], v));
+    }
+    for (let k of Object.keys(subset)) {
+        if (!(k in object) || !matchesSubset(object[k], subset[k])) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Resolve a property path given as a dotted string or an array of keys.
+ */
+function getPropertyPath(obj, propertyPath) {
+    let keys = Array.isArray(propertyPath) ? propertyPath : String(propertyPath).replace(/\[(\w+)\]/g, '.$1').split('.');
+    let current = obj;
+    for (let k of keys) {
+        if (current === null || current === undefined || !(typeof current === 'object' || typeof current === 'function') || !(k in Object(current))) {
+            return { found: false };
+        }
+        current = current[k];
+    }
+    return { found: true, value: current };
+}
+
+function callAndCatch(fn) {
+    try {
+        fn();
+    } catch (e) {
+        return { thrown: true, error: e };
+    }
+    return { thrown: false };
+}
+
+function matchesError(error, expected) {
+    if (expected === undefined) {
+        return true;
+    }
+    let message = error !== null && error !== undefined && error.message !== undefined ? error.message : String(error);
+    if (typeof expected === 'string') {
+        return message.includes(expected);
+    }
+    if (getTag(expected) === '[object RegExp]') {
+        return expected.test(message);
+    }
+    if (typeof expected === 'function') {
+        return error instanceof expected || (error !== null && error !== undefined && error.name === expected.name);
+    }
+    if (isAsymmetricMatcher(expected)) {
+        return expected.asymmetricMatch(error);
+    }
+    return message === expected.message;
+}
+
+function isMockFunction(fn) {
+    return typeof fn === 'function' && fn._isMockFunction === true;
+}
+
+function assertMockFunction(fn, matcherName) {
+    if (!isMockFunction(fn)) {
+        throw new JestAssertionError(`${matcherName} expects a mock function, received ${stringify(fn)}`);
+    }
+}
+
+/**
+ * Matchers supported by `expect`. Each returns whether it passed and the message of the failure.
+ */
+const matchers = {
+    toBe: (actual, expected) => ({ pass: Object.is(actual, expected), message: () => `expected ${stringify(actual)} to be ${stringify(expected)}` }),
+    toEqual: (actual, expected) => ({ pass: equals(actual, expected, false), message: () => `expected ${stringify(actual)} to equal ${stringify(expected)}` }),
+    toStrictEqual: (actual, expected) => ({ pass: equals(actual, expected, true), message: () => `expected ${stringify(actual)} to strictly equal ${stringify(expected)}` }),
+    toBeTruthy: (actual) => ({ pass: !!actual, message: () => `expected ${stringify(actual)} to be truthy` }),
+    toBeFalsy: (actual) => ({ pass: !actual, message: () => `expected ${stringify(actual)} to be falsy` }),
+    toBeNull: (actual) => ({ pass: actual === null, message: () => `expected ${stringify(actual)} to be null` }),
+    toBeUndefined: (actual) => ({ pass: actual === undefined, message: () => `expected ${stringify(actual)} to be undefined` }),
+    toBeDefined: (actual) => ({ pass: actual !== undefined, message: () => `expected ${stringify(actual)} to be defined` }),
+    toBeNaN: (actual) => ({ pass: Number.isNaN(actual), message: () => `expected ${stringify(actual)} to be NaN` }),
+    toBeInstanceOf: (actual, expected) => ({
+        pass: actual instanceof expected || (actual !== null && actual !== undefined && actual.constructor !== undefined && actual.constructor.name === expected.name),
+        message: () => `expected ${stringify(actual)} to be an instance of ${expected.name}`
+    }),
+    toBeGreaterThan: (actual, expected) => ({ pass: actual > expected, message: () => `expected ${stringify(actual)} to be greater than ${stringify(expected)}` }),
+    toBeGreaterThanOrEqual: (actual, expected) => ({ pass: actual >= expected, message: () => `expected ${stringify(actual)} to be greater than or equal to ${stringify(expected)}` }),
+    toBeLessThan: (actual, expected) => ({ pass: actual < expected, message: () => `expected ${stringify(actual)} to be less than ${stringify(expected)}` }),
+    toBeLessThanOrEqual: (actual, expected) => ({ pass: actual <= expected, message: () => `expected ${stringify(actual)} to be less than or equal to ${stringify(expected)}` }),
+    toBeCloseTo: (actual, expected, precision = 2) => ({
+        pass: Math.abs(expected - actual) < Math.pow(10, -precision) / 2,
+        message: () => `expected ${stringify(actual)} to be close to ${stringify(expected)}`
+    }),
+    toContain: (actual, expected) => ({
+        pass: actual !== null && actual !== undefined && (typeof actual === 'string' ? actual.includes(expected) : Array.from(actual).includes(expected)),
+        message: () => `expected ${stringify(actual)} to contain ${stringify(expected)}`
+    }),
+    toContainEqual: (actual, expected) => ({
+        pass: actual !== null && actual !== undefined && Array.from(actual).some(v => equals(v, expected, false)),
+        message: () => `expected ${stringify(actual)} to contain an item equal to ${stringify(expected)}`
+    }),
+    toHaveLength: (actual, expected) => ({
+        pass: actual !== null && actual !== undefined && actual.length === expected,
+        message: () => `expected ${stringify(actual)} to have length ${expected}`
+    }),
+    toHaveProperty: (actual, propertyPath, ...expected) => {
+        let result = getPropertyPath(actual, propertyPath);
+        return {
+            pass: result.found && (expected.length === 0 || equals(result.value, expected[0], false)),
+            message: () => `expected ${stringify(actual)} to have property ${stringify(propertyPath)}` + (expected.length > 0 ? ` equal to ${stringify(expected[0])}` : '')
+        };
+    },
+    toMatch: (actual, expected) => ({
+        pass: typeof actual === 'string' && (typeof expected === 'string' ? actual.includes(expected) : expected.test(actual)),
+        message: () => `expected ${stringify(actual)} to match ${String(expected)}`
+    }),
+    toMatchObject: (actual, expected) => ({ pass: matchesSubset(actual, expected), message: () => `expected ${stringify(actual)} to match object ${stringify(expected)}` }),
+    toThrow: (actual, expected) => {
+        let result = callAndCatch(actual);
+        return {
+            pass: result.thrown && matchesError(result.error, expected),
+            message: () => result.thrown ? `expected the thrown error ${stringify(result.error && result.error.message)} to match ${stringify(expected)}` : 'expected the function to throw'
+        };
+    },
+    toHaveBeenCalled: (actual) => {
+        assertMockFunction(actual, 'toHaveBeenCalled');
+        return { pass: actual.mock.calls.length > 0, message: () => 'expected the mock function to have been called' };
+    },
+    toHaveBeenCalledTimes: (actual, expected) => {
+        assertMockFunction(actual, 'toHaveBeenCalledTimes');
+        return { pass: actual.mock.calls.length === expected, message: () => `expected the mock function to have been called ${expected} times, called ${actual.mock.calls.length} times` };
+    },
+    toHaveBeenCalledWith: (actual, ...expected) => {
+        assertMockFunction(actual, 'toHaveBeenCalledWith');
+        return { pass: actual.mock.calls.some(args => equals(args, expected, false)), message: () => `expected the mock function to have been called with ${stringify(expected)}` };
+    },
+    toHaveBeenLastCalledWith: (actual, ...expected) => {
+        assertMockFunction(actual, 'toHaveBeenLastCalledWith');
+        let calls = actual.mock.calls;
+        return { pass: calls.length > 0 && equals(calls[calls.length - 1], expected, false), message: () => `expected the last call of the mock function to be ${stringify(expected)}` };
+    },
+    toHaveBeenNthCalledWith: (actual, n, ...expected) => {
+        assertMockFunction(actual, 'toHaveBeenNthCalledWith');
+        let calls = actual.mock.calls;
+        return { pass: calls.length >= n && equals(calls[n - 1], expected, false), message: () => `expected call ${n} of the mock function to be ${stringify(expected)}` };
+    },
+    toHaveReturned: (actual) => {
+        assertMockFunction(actual, 'toHaveReturned');
+        return { pass: actual.mock.results.some(r => r.type === 'return'), message: () => 'expected the mock function to have returned' };
+    },
+    toHaveReturnedTimes: (actual, expected) => {
+        assertMockFunction(actual, 'toHaveReturnedTimes');
+        return { pass: actual.mock.results.filter(r => r.type === 'return').length === expected, message: () => `expected the mock function to have returned ${expected} times` };
+    },
+    toHaveReturnedWith: (actual, expected) => {
+        assertMockFunction(actual, 'toHaveReturnedWith');
+        return { pass: actual.mock.results.some(r => r.type === 'return' && equals(r.value, expected, false)), message: () => `expected the mock function to have returned ${stringify(expected)}` };
+    },
+    /* Snapshots are not stored, so snapshot assertions always pass. */
+    toMatchSnapshot: () => ({ pass: true, message: () => '' }),
+    toMatchInlineSnapshot: () => ({ pass: true, message: () => '' }),
+    toThrowErrorMatchingSnapshot: () => ({ pass: true, message: () => '' }),
+    toThrowErrorMatchingInlineSnapshot: () => ({ pass: true, message: () => '' })
+};
+
+matchers.toThrowError = matchers.toThrow;
+matchers.toBeCalled = matchers.toHaveBeenCalled;
+matchers.toBeCalledTimes = matchers.toHaveBeenCalledTimes;
+matchers.toBeCalledWith = matchers.toHaveBeenCalledWith;
+matchers.lastCalledWith = matchers.toHaveBeenLastCalledWith;
+matchers.nthCalledWith = matchers.toHaveBeenNthCalledWith;
+matchers.toReturn = matchers.toHaveReturned;
+matchers.toReturnTimes = matchers.toHaveReturnedTimes;
+matchers.toReturnWith = matchers.toHaveReturnedWith;
+
+/**
+ * Create an asymmetric matcher usable inside `toEqual`, `toHaveBeenCalledWith` and similar matchers.
+ */
+function asymmetricMatcher(description, match) {
+    return {
+        [ASYMMETRIC_MATCHER]: true,
+        asymmetricMatch: match,
+        toString: () => description,
+        toJSON: () => description
+    };
+}
+
+/**
+ * Parse the tagged template table form of `each`, e.g. describe.each`a | b ${1} | ${2}`.
+ */
+function parseEachTable(strings, values) {
+    let headings = strings[0].split('|').map(h => h.trim()).filter(h => h.length > 0);
+    let rows = [];
+    for (let i = 0; i < values.length; i += headings.length) {
+        let row = {};
+        headings.forEach((h, j) => {
+            row[h] = values[i + j];
+        });
+        rows.push([row]);
+    }
+    return rows;
+}
+
+/**
+ * Format the title of an `each` case using printf-style placeholders or `$variable` references.
+ */
+function formatEachTitle(title, args, index) {
+    if (args.length === 1 && args[0] !== null && typeof args[0] === 'object' && !Array.isArray(args[0]) && !/%[sdifjop#]/.test(title)) {
+        return title.replace(/\$([\w.]+)/g, (m, key) => {
+            let result = getPropertyPath(args[0], key);
+            return result.found ? (typeof result.value === 'string' ? result.value : stringify(result.value)) : m;
+        });
+    }
+    let i = 0;
+    return title.replace(/%([sdifjop#%])/g, (m, flag) => {
+        if (flag === '%') {
+            return '%';
+        }
+        if (flag === '#') {
+            return String(index);
+        }
+        if (i >= args.length) {
+            return m;
+        }
+        let arg = args[i++];
+        if (flag === 'd' || flag === 'i') {
+            return String(flag === 'i' ? Math.trunc(Number(arg)) : Number(arg));
+        }
+        if (flag === 'f') {
+            return String(Number(arg));
+        }
+        if (flag === 's' && typeof arg === 'string') {
+            return arg;
+        }
+        return stringify(arg);
+    });
+}
+
+/**
+ * Invoke a test or hook function, waiting for its `done` callback or returned promise.
+ */
+function invokeWithTimeout(fn, timeout) {
+    return new Promise((resolve, reject) => {
+        let finished = false;
+        let timer;
+        /* A timeout of 0 disables the timeout */
+        if (timeout > 0 && timeout < 2 ** 31) {
+            timer = setTimeout(() => finish(new Error(`Exceeded timeout of ${timeout} ms`)), timeout);
+        }
+        function finish(err) {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            clearTimeout(timer);
+            if (err) {
+                reject(err);
+            } else {
+                resolve();
+            }
+        }
+        try {
+            if (fn.length >= 1) {
+                let done = (err) => finish(err);
+                done.fail = (err) => finish(err instanceof Error ? err : new Error(err));
+                fn(done);
+            } else {
+                Promise.resolve(fn()).then(() => finish(), e => finish(e || new Error('Promise rejected')));
+            }
+        } catch (e) {
+            finish(e);
+        }
+    });
+}
+
+/**
+ * Create a Jest-compatible environment for one client test file.
+ *
+ * `requireModule` is used to load modules that are not mocked. The returned `globals` are
+ * injected into the client file, and `run` executes the collected tests afterwards.
+ */
+function createJestEnvironment({ logger, requireModule, timeout = DEFAULT_TIMEOUT }) {
+    let rootSuite = createSuite('', null, undefined);
+    let currentSuite = rootSuite;
+    let defaultTimeout = timeout;
+    let mockFunctions = [];
+    let moduleMocks = new Map();
+    let automock = false;
+    let assertionCount = 0;
+    let expectedAssertions = null;
+    /* Matchers added with `expect.extend`, which only apply to this test file */
+    let extendedMatchers = {};
+
+    function createSuite(name, parent, mode) {
+        return { kind: 'suite', name, parent, mode, children: [], beforeAll: [], afterAll: [], beforeEach: [], afterEach: [] };
+    }
+
+    function createMockFunction(implementation) {
+        let onceImplementations = [];
+        let mockName = 'jest.fn()';
+        let mockFn = function (...args) {
+            mockFn.mock.calls.push(args);
+            mockFn.mock.instances.push(this);
+            mockFn.mock.contexts.push(this);
+            mockFn.mock.lastCall = args;
+            let impl = onceImplementations.length > 0 ? onceImplementations.shift() : mockFn._implementation;
+            try {
+                let value = impl ? impl.apply(this, args) : undefined;
+                mockFn.mock.results.push({ type: 'return', value: value });
+                return value;
+            } catch (e) {
+                mockFn.mock.results.push({ type: 'throw', value: e });
+                throw e;
+            }
+        };
+        mockFn._isMockFunction = true;
+        mockFn._implementation = implementation;
+        mockFn.mock = { calls: [], instances: [], contexts: [], results: [], lastCall: undefined };
+        mockFn.mockClear = () => {
+            mockFn.mock = { calls: [], instances: [], contexts: [], results: [], lastCall: undefined };
+            return mockFn;
+        };
+        mockFn.mockReset = () => {
+            mockFn.mockClear();
+            mockFn._implementation = undefined;
+            onceImplementations = [];
+            return mockFn;
+        };
+        mockFn.mockRestore = () => mockFn.mockReset();
+        mockFn.mockImplementation = (fn) => {
+            mockFn._implementation = fn;
+            return mockFn;
+        };
+        mockFn.mockImplementationOnce = (fn) => {
+            onceImplementations.push(fn);
+            return mockFn;
+        };
+        mockFn.getMockImplementation = () => mockFn._implementation;
+        mockFn.mockReturnValue = (v) => mockFn.mockImplementation(() => v);
+        mockFn.mockReturnValueOnce = (v) => mockFn.mockImplementationOnce(() => v);
+        mockFn.mockResolvedValue = (v) => mockFn.mockImplementation(() => Promise.resolve(v));
+        mockFn.mockResolvedValueOnce = (v) => mockFn.mockImplementationOnce(() => Promise.resolve(v));
+        mockFn.mockRejectedValue = (v) => mockFn.mockImplementation(() => Promise.reject(v));
+        mockFn.mockRejectedValueOnce = (v) => mockFn.mockImplementationOnce(() => Promise.reject(v));
+        mockFn.mockReturnThis = () => mockFn.mockImplementation(function () {
+            return this;
+        });
+        mockFn.mockName = (name) => {
+            mockName = name;
+            return mockFn;
+        };
+        mockFn.getMockName = () => mockName;
+        mockFunctions.push(mockFn);
+        return mockFn;
+    }
+
+    function spyOn(object, methodName) {
+        let original = object[methodName];
+        if (typeof original !== 'function') {
+            throw new Error(`Cannot spy on the property ${String(methodName)} because it is not a function`);
+        }
+        let spy = createMockFunction(function (...args) {
+            return original.apply(this, args);
+        });
+        spy.mockRestore = () => {
+            spy.mockReset();
+            object[methodName] = original;
+        };
+        object[methodName] = spy;
+        return spy;
+    }
+
+    /**
+     * Replace the functions of a module with mock functions (one level deep).
+     */
+    function createAutomock(value) {
+        if (typeof value === 'function') {
+            let mockFn = createMockFunction();
+            for (let k of Object.keys(value)) {
+                mockFn[k] = typeof value[k] === 'function' ? createMockFunction() : value[k];
+            }
+            return mockFn;
+        }
+        if (value !== null && typeof value === 'object') {
+            let mocked = {};
+            for (let k of Object.keys(value)) {
+                mocked[k] = typeof value[k] === 'function' ? createMockFunction() : value[k];
+            }
+            return mocked;
+        }
+        return value;
+    }
+
+    function requireWithMocks(moduleName) {
+        let entry = moduleMocks.get(moduleName);
+        if (entry === undefined && automock) {
+            entry = { factory: undefined };
+            moduleMocks.set(moduleName, entry);
+        }
+        if (entry === undefined) {
+            return requireModule(moduleName);
+        }
+        if (!entry.evaluated) {
+            entry.value = entry.factory ? entry.factory() : createAutomock(requireModule(moduleName));
+            entry.evaluated = true;
+        }
+        return entry.value;
+    }
+
+    function defineMock(moduleName, factory) {
+        moduleMocks.set(moduleName, { factory: factory, evaluated: false });
+        return jest;
+    }
+
+    let jest = {
+        fn: createMockFunction,
+        spyOn: spyOn,
+        isMockFunction: isMockFunction,
+        mock: defineMock,
+        doMock: defineMock,
+        unmock: (moduleName) => {
+            moduleMocks.delete(moduleName);
+            return jest;
+        },
+        requireActual: (moduleName) => requireModule(moduleName),
+        requireMock: (moduleName) => {
+            if (!moduleMocks.has(moduleName)) {
+                moduleMocks.set(moduleName, { factory: undefined, evaluated: false });
+            }
+            return requireWithMocks(moduleName);
+        },
+        enableAutomock: () => {
+            automock = true;
+            return jest;
+        },
+        disableAutomock: () => {
+            automock = false;
+            return jest;
+        },
+        resetModules: () => {
+            for (let entry of moduleMocks.values()) {
+                entry.evaluated = false;
+            }
+            return jest;
+        },
+        clearAllMocks: () => {
+            mockFunctions.forEach(m => m.mockClear());
+            return jest;
+        },
+        resetAllMocks: () => {
+            mockFunctions.forEach(m => m.mockReset());
+            return jest;
+        },
+        restoreAllMocks: () => {
+            mockFunctions.forEach(m => m.mockRestore());
+            return jest;
+        },
+        setTimeout: (timeout) => {
+            defaultTimeout = timeout;
+            return jest;
+        }
+    };
+    /* Fake timers are not emulated; timers keep running in real time. */
+    for (let name of ['useFakeTimers', 'useRealTimers', 'runAllTimers', 'runOnlyPendingTimers', 'runAllTicks', 'advanceTimersByTime', 'clearAllTimers']) {
+        jest[name] = () => jest;
+    }
+
+    function createExpectation(actual, negate, mode) {
+        let expectation = {};
+        /* The context of the matchers, as passed to custom matchers by Jest */
+        let context = { equals: (a, b) => equals(a, b, false), isNot: negate, promise: mode || '' };
+        for (let [name, matcher] of Object.entries(Object.assign({}, matchers, extendedMatchers))) {
+            expectation[name] = (...expected) => {
+                assertionCount++;
+                let check = (value) => {
+                    let result = matcher.call(context, value, ...expected);
+                    if (result.pass === negate) {
+                        throw new JestAssertionError(`${negate ? 'not ' : ''}${name}: ${result.message()}`);
+                    }
+                };
+                if (mode === 'resolves') {
+                    return Promise.resolve(actual).then(check);
+                }
+                if (mode === 'rejects') {
+                    return Promise.resolve(actual).then(
+                        v => {
+                            throw new JestAssertionError(`rejects.${name}: expected the promise to reject, resolved with ${stringify(v)}`);
+                        },
+                        e => check(name === 'toThrow' || name === 'toThrowError' ? () => { throw e; } : e)
+                    );
+                }
+                check(actual);
+            };
+        }
+        return expectation;
+    }
+
+    function expect(actual) {
+        let expectation = createExpectation(actual, false, undefined);
+        expectation.not = createExpectation(actual, true, undefined);
+        expectation.resolves = createExpectation(actual, false, 'resolves');
+        expectation.resolves.not = createExpectation(actual, true, 'resolves');
+        expectation.rejects = createExpectation(actual, false, 'rejects');
+        expectation.rejects.not = createExpectation(actual, true, 'rejects');
+        return expectation;
+    }
+    expect.anything = () => asymmetricMatcher('Anything', v => v !== null && v !== undefined);
+    expect.any = (ctor) => asymmetricMatcher(`Any<${ctor.name}>`, v => {
+        if (v === null || v === undefined) {
+            return false;
+        }
+        if (ctor === String || ctor === Number || ctor === Boolean || ctor === Function || ctor === Object) {
+            return typeof v === ctor.name.toLowerCase() || v instanceof ctor;
+        }
+        return v instanceof ctor || (v.constructor !== undefined && v.constructor.name === ctor.name);
+    });
+    expect.objectContaining = (subset) => asymmetricMatcher(`ObjectContaining ${stringify(subset)}`,
+        v => v !== null && typeof v === 'object' && Object.keys(subset).every(k => k in v && equals(v[k], subset[k], false)));
+    expect.arrayContaining = (items) => asymmetricMatcher(`ArrayContaining ${stringify(items)}`,
+        v => Array.isArray(v) && items.every(item => v.some(x => equals(x, item, false))));
+    expect.stringContaining = (s) => asymmetricMatcher(`StringContaining ${stringify(s)}`, v => typeof v === 'string' && v.includes(s));
+    expect.stringMatching = (pattern) => asymmetricMatcher(`StringMatching ${String(pattern)}`,
+        v => typeof v === 'string' && (typeof pattern === 'string' ? new RegExp(pattern) : pattern).test(v));
+    expect.closeTo = (n, precision = 2) => asymmetricMatcher(`CloseTo ${n}`, v => typeof v === 'number' && Math.abs(n - v) < Math.pow(10, -precision) / 2);
+    expect.assertions = (n) => {
+        expectedAssertions = n;
+    };
+    expect.hasAssertions = () => {
+        expectedAssertions = -1;
+    };
+    expect.extend = (customMatchers) => {
+        for (let name of Object.keys(customMatchers)) {
+            extendedMatchers[name] = function (actual, ...expected) {
+                let result = customMatchers[name].call(this, actual, ...expected);
+                return { pass: result.pass, message: typeof result.message === 'function' ? result.message : () => String(result.message) };
+            };
+        }
+    };
+
+    function addTest(name, fn, timeout, mode) {
+        currentSuite.children.push({ kind: 'test', name, fn, timeout, mode, parent: currentSuite });
+    }
+
+    function addSuite(name, fn, mode) {
+        let suite = createSuite(name, currentSuite, mode);
+        currentSuite.children.push(suite);
+        let previousSuite = currentSuite;
+        currentSuite = suite;
+        try {
+            fn();
+        } finally {
+            currentSuite = previousSuite;
+        }
+    }
+
+    /**
+     * Create the `.each` variant of `test` or `describe`.
+     */
+    function createEach(register) {
+        return (table, ...templateValues) => {
+            let rows = Array.isArray(table) && table.raw !== undefined
+                ? parseEachTable(table, templateValues)
+                : table.map(row => Array.isArray(row) ? row : [row]);
+            return (title, fn, timeout) => {
+                rows.forEach((args, index) => {
+                    let wrapped = (...rest) => fn(...args, ...rest);
+                    Object.defineProperty(wrapped, 'length', { value: Math.max(fn.length - args.length, 0) });
+                    register(formatEachTitle(String(title), args, index), wrapped, timeout);
+                });
+            };
+        };
+    }
+
+    function createTestFunction() {
+        let test = (name, fn, timeout) => addTest(name, fn, timeout, undefined);
+        test.only = (name, fn, timeout) => addTest(name, fn, timeout, 'only');
+        test.skip = (name, fn, timeout) => addTest(name, fn, timeout, 'skip');
+        test.todo = (name) => addTest(name, undefined, undefined, 'skip');
+        test.concurrent = test;
+        test.each = createEach(test);
+        test.only.each = createEach(test.only);
+        test.skip.each = createEach(test.skip);
+        test.failing = test.skip;
+        return test;
+    }
+
+    let test = createTestFunction();
+    let describe = (name, fn) => addSuite(name, fn, undefined);
+    describe.only = (name, fn) => addSuite(name, fn, 'only');
+    describe.skip = (name, fn) => addSuite(name, fn, 'skip');
+    describe.each = createEach(describe);
+    describe.only.each = createEach(describe.only);
+    describe.skip.each = createEach(describe.skip);
+
+    function hasFocusedTests(suite) {
+        return suite.children.some(c => c.mode === 'only' || (c.kind === 'suite' && hasFocusedTests(c)));
+    }
+
+    function isEnabled(item, focused) {
+        let inFocus = !focused;
+        for (let x = item; x !== null; x = x.parent) {
+            if (x.mode === 'skip') {
+                return false;
+            }
+            if (x.mode === 'only') {
+                inFocus = true;
+            }
+        }
+        return inFocus;
+    }
+
+    function containsEnabledTests(suite, focused) {
+        return suite.children.some(c => c.kind === 'suite' ? containsEnabledTests(c, focused) : isEnabled(c, focused));
+    }
+
+    function fullName(item) {
+        let names = [];
+        for (let x = item; x !== null; x = x.parent) {
+            if (x.name) {
+                names.unshift(x.name);
+            }
+        }
+        return names.join(' ');
+    }
+
+    async function runTest(testItem, beforeEachHooks, afterEachHooks, summary) {
+        logger.info(`Executing test: ${fullName(testItem)}`);
+        let timeout = testItem.timeout ?? defaultTimeout;
+        assertionCount = 0;
+        expectedAssertions = null;
+        let error;
+        try {
+            for (let hook of beforeEachHooks) {
+                await invokeWithTimeout(hook, timeout);
+            }
+            await invokeWithTimeout(testItem.fn, timeout);
+            if (expectedAssertions === -1 && assertionCount === 0) {
+                throw new JestAssertionError('expected at least one assertion to be called');
+            }
+            if (expectedAssertions !== null && expectedAssertions >= 0 && assertionCount !== expectedAssertions) {
+                throw new JestAssertionError(`expected ${expectedAssertions} assertions to be called, received ${assertionCount}`);
+            }
+        } catch (e) {
+            error = e;
+        }
+        for (let hook of afterEachHooks) {
+            try {
+                await invokeWithTimeout(hook, timeout);
+            } catch (e) {
+                error = error || e;
+            }
+        }
+        if (error) {
+            summary.failed++;
+            logger.info(`Test failed: ${fullName(testItem)}: ${error}`);
+        } else {
+            summary.passed++;
+        }
+    }
+
+    /**
+     * Run the hooks and tests of a suite. The `afterAll` hooks also run when a `beforeAll` hook
+     * failed, so that the client can clean up.
+     */
+    async function runSuite(suite, beforeEachHooks, afterEachHooks, focused, summary) {
+        if (!containsEnabledTests(suite, focused)) {
+            return;
+        }
+        if (suite.name) {
+            logger.info(`Executing: ${suite.name}`);
+        }
+        try {
+            try {
+                for (let hook of suite.beforeAll) {
+                    await invokeWithTimeout(hook, defaultTimeout);
+                }
+            } catch (e) {
+                logger.info(`Hook beforeAll failed in "${fullName(suite)}": ${e}`);
+                summary.failed++;
+                return;
+            }
+            let innerBeforeEach = beforeEachHooks.concat(suite.beforeEach);
+            let innerAfterEach = suite.afterEach.concat(afterEachHooks);
+            for (let child of suite.children) {
+                if (child.kind === 'suite') {
+                    await runSuite(child, innerBeforeEach, innerAfterEach, focused, summary);
+                } else if (isEnabled(child, focused) && child.fn !== undefined) {
+                    await runTest(child, innerBeforeEach, innerAfterEach, summary);
+                } else {
+                    summary.skipped++;
+                }
+            }
+        } finally {
+            for (let hook of suite.afterAll) {
+                try {
+                    await invokeWithTimeout(hook, defaultTimeout);
+                } catch (e) {
+                    logger.info(`Hook afterAll failed in "${fullName(suite)}": ${e}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Run all tests collected while executing the client file.
+     */
+    async function run() {
+        let summary = { passed: 0, failed: 0, skipped: 0 };
+        await runSuite(rootSuite, [], [], hasFocusedTests(rootSuite), summary);
+        logger.info(`Tests finished: ${summary.passed} passed, ${summary.failed} failed, ${summary.skipped} skipped`);
+        return summary;
+    }
+
+    let globals = {
+        require: requireWithMocks,
+        describe: describe,
+        fdescribe: describe.only,
+        xdescribe: describe.skip,
+        test: test,
+        it: test,
+        fit: test.only,
+        xit: test.skip,
+        xtest: test.skip,
+        beforeAll: (fn) => currentSuite.beforeAll.push(fn),
+        afterAll: (fn) => currentSuite.afterAll.push(fn),
+        beforeEach: (fn) => currentSuite.beforeEach.push(fn),
+        afterEach: (fn) => currentSuite.afterEach.push(fn),
+        expect: expect,
+        jest: jest
+    };
+
+    return { globals, run };
+}
+
+export { createJestEnvironment, isJestTestFile, HOISTED_JEST_METHODS, JestAssertionError };
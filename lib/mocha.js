@@ -0,0 +1,363 @@
+const DEFAULT_TIMEOUT = 2000;
+
+/**
+ * Check whether a file of a project (given by its path relative to the project) is a test file
+ * for Mocha: a file directly in the `test` directory, which Mocha runs by default (not the
+ * helpers or fixtures in its subdirectories), or a `.test.js` or `.spec.js` file.
+ */
+function isMochaTestFile(file) {
+    let parts = file.split(/[\\/]/);
+    return (parts.length === 2 && parts[0] === 'test' && /\.[cm]?js$/.test(parts[1])) || /\.(test|spec)\.[cm]?js$/.test(file);
+}
+
+/**
+ * Thrown by `this.skip()` to mark the current test or hook as pending.
+ */
+class PendingError extends Error {
+    constructor() {
+        super('skipped');
+        this.name = 'PendingError';
+    }
+}
+
+/**
+ * Create a Mocha-compatible environment for one client test file.
+ *
+ * `requireModule` is used to load modules. The returned `globals` are injected into the client
+ * file (BDD and TDD interfaces), and `run` executes the collected suites afterwards.
+ */
+function createMochaEnvironment({ logger, requireModule, timeout = DEFAULT_TIMEOUT }) {
+    let rootSuite = createSuite('', null, undefined);
+    rootSuite.timeout = timeout;
+    let currentSuite = rootSuite;
+
+    function createSuite(title, parent, mode) {
+        return {
+            kind: 'suite', title, parent, mode,
+            tests: [], suites: [],
+            before: [], after: [], beforeEach: [], afterEach: [],
+            timeout: undefined, retries: undefined, ctx: undefined
+        };
+    }
+
+    function getTimeout(item) {
+        for (let x = item; x !== null; x = x.parent) {
+            if (x.timeout !== undefined) {
+                return x.timeout;
+            }
+        }
+        return DEFAULT_TIMEOUT;
+    }
+
+    function getRetries(item) {
+        for (let x = item; x !== null; x = x.parent) {
+            if (x.retries !== undefined) {
+                return x.retries;
+            }
+        }
+        return 0;
+    }
+
+    function fullTitle(item) {
+        let titles = [];
+        for (let x = item; x !== null; x = x.parent) {
+            if (x.title) {
+                titles.unshift(x.title);
+            }
+        }
+        return titles.join(' ');
+    }
+
+    /* The test or hook currently being executed and the function resetting its timer */
+    let activeRunnable;
+    let resetActiveTimer;
+
+    /**
+     * Create the `this` object of a suite. Tests and hooks of the suite share it, and it inherits
+     * from the parent suite's context, so properties assigned in hooks are visible in the tests.
+     */
+    function createContext(suite, parentCtx) {
+        let ctx = Object.create(parentCtx || null);
+        ctx.timeout = function (ms) {
+            if (arguments.length === 0) {
+                return getTimeout(activeRunnable || suite);
+            }
+            if (activeRunnable) {
+                activeRunnable.timeout = ms;
+                resetActiveTimer();
+            } else {
+                suite.timeout = ms;
+            }
+            return this;
+        };
+        ctx.retries = function (n) {
+            (activeRunnable || suite).retries = n;
+            return this;
+        };
+        ctx.slow = function () {
+            return this;
+        };
+        ctx.skip = function () {
+            if (!activeRunnable) {
+                suite.mode = 'skip';
+            }
+            throw new PendingError();
+        };
+        return ctx;
+    }
+
+    function addSuite(title, fn, mode) {
+        let suite = createSuite(title, currentSuite, mode);
+        suite.ctx = createContext(suite, currentSuite.ctx);
+        currentSuite.suites.push(suite);
+        let previousSuite = currentSuite;
+        currentSuite = suite;
+        try {
+            if (fn) {
+                fn.call(suite.ctx);
+            }
+        } catch (e) {
+            if (!(e instanceof PendingError)) {
+                throw e;
+            }
+        } finally {
+            currentSuite = previousSuite;
+        }
+        return suite;
+    }
+
+    function addTest(title, fn, mode) {
+        let test = { kind: 'test', title, fn, mode: fn === undefined ? 'skip' : mode, parent: currentSuite, timeout: undefined, retries: undefined };
+        currentSuite.tests.push(test);
+        return test;
+    }
+
+    function addHook(type, title, fn) {
+        if (typeof title === 'function') {
+            fn = title;
+            title = undefined;
+        }
+        currentSuite[type].push({ kind: 'hook', type, title, fn, parent: currentSuite });
+    }
+
+    /**
+     * Run a test or hook function with `ctx` as `this`, waiting for `done` or the returned promise.
+     * The timeout is re-read whenever `this.timeout()` changes it while the function runs.
+     */
+    function invokeRunnable(runnable, ctx) {
+        return new Promise((resolve, reject) => {
+            let finished = false;
+            let timer;
+            activeRunnable = runnable;
+            resetActiveTimer = resetTimer;
+
+            function resetTimer() {
+                clearTimeout(timer);
+                let ms = getTimeout(runnable);
+                /* A timeout of 0 disables the timeout as in Mocha */
+                if (ms > 0 && ms < 2 ** 31) {
+                    timer = setTimeout(() => finish(new Error(`Timeout of ${ms}ms exceeded. For async tests and hooks, ensure "done()" is called; if returning a Promise, ensure it resolves.`)), ms);
+                }
+            }
+
+            function finish(err) {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                clearTimeout(timer);
+                if (activeRunnable === runnable) {
+                    activeRunnable = undefined;
+                }
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            }
+
+            resetTimer();
+            try {
+                if (runnable.fn.length >= 1) {
+                    let result = runnable.fn.call(ctx, (err) => {
+                        if (err !== undefined && err !== null && !(err instanceof Error) && !(err && err.message)) {
+                            finish(new Error(`done() invoked with non-Error: ${err}`));
+                        } else {
+                            finish(err);
+                        }
+                    });
+                    if (result && typeof result.then === 'function') {
+                        finish(new Error('Resolution method is overspecified. Specify a callback *or* return a Promise; not both.'));
+                    }
+                } else {
+                    let result = runnable.fn.call(ctx);
+                    if (result && typeof result.then === 'function') {
+                        result.then(() => finish(), e => finish(e || new Error('Promise rejected with no or falsy reason')));
+                    } else {
+                        finish();
+                    }
+                }
+            } catch (e) {
+                finish(e);
+            }
+        });
+    }
+
+    function hasFocusedTests(suite) {
+        return suite.tests.some(t => t.mode === 'only') || suite.suites.some(s => s.mode === 'only' || hasFocusedTests(s));
+    }
+
+    function isEnabled(item, focused) {
+        let inFocus = !focused;
+        for (let x = item; x !== null; x = x.parent) {
+            if (x.mode === 'skip') {
+                return false;
+            }
+            if (x.mode === 'only') {
+                inFocus = true;
+            }
+        }
+        return inFocus;
+    }
+
+    function containsEnabledTests(suite, focused) {
+        return suite.tests.some(t => isEnabled(t, focused)) || suite.suites.some(s => containsEnabledTests(s, focused));
+    }
+
+    async function runHooks(hooks, ctx) {
+        for (let hook of hooks) {
+            await invokeRunnable(hook, ctx);
+        }
+    }
+
+    async function runTest(test, suite, summary) {
+        let attempts = getRetries(test) + 1;
+        let error;
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            logger.info(`Executing test: ${fullTitle(test)}`);
+            error = undefined;
+            /* beforeEach hooks run from the outermost suite inwards, afterEach hooks the other way round */
+            let chain = [];
+            for (let x = suite; x !== null; x = x.parent) {
+                chain.unshift(x);
+                x.ctx.currentTest = test;
+            }
+            suite.ctx.test = test;
+            try {
+                for (let s of chain) {
+                    await runHooks(s.beforeEach, s.ctx);
+                }
+                await invokeRunnable(test, suite.ctx);
+            } catch (e) {
+                error = e;
+            }
+            for (let s of chain.reverse()) {
+                try {
+                    await runHooks(s.afterEach, s.ctx);
+                } catch (e) {
+                    error = error || e;
+                }
+            }
+            if (!error || error instanceof PendingError) {
+                break;
+            }
+        }
+        if (error instanceof PendingError) {
+            summary.pending++;
+        } else if (error) {
+            summary.failed++;
+            logger.info(`Test failed: ${fullTitle(test)}: ${error}`);
+        } else {
+            summary.passed++;
+        }
+    }
+
+    /**
+     * Run a suite as Mocha does: `before` hooks, the suite's own tests, then its child suites and finally `after` hooks.
+     * The `after` hooks also run when a `before` hook failed, so that the client can clean up.
+     */
+    async function runSuite(suite, focused, summary) {
+        if (!containsEnabledTests(suite, focused)) {
+            return;
+        }
+        if (suite.title) {
+            logger.info(`Executing: ${suite.title}`);
+        }
+        try {
+            try {
+                await runHooks(suite.before, suite.ctx);
+            } catch (e) {
+                if (!(e instanceof PendingError)) {
+                    summary.failed++;
+                    logger.info(`Hook "before all" failed in "${fullTitle(suite)}": ${e}`);
+                }
+                return;
+            }
+            for (let test of suite.tests) {
+                if (isEnabled(test, focused)) {
+                    await runTest(test, suite, summary);
+                } else {
+                    summary.pending++;
+                }
+            }
+            for (let child of suite.suites) {
+                await runSuite(child, focused, summary);
+            }
+        } finally {
+            try {
+                await runHooks(suite.after, suite.ctx);
+            } catch (e) {
+                logger.info(`Hook "after all" failed in "${fullTitle(suite)}": ${e}`);
+            }
+        }
+    }
+
+    /**
+     * Run all suites collected while executing the client file.
+     */
+    async function run() {
+        let summary = { passed: 0, failed: 0, pending: 0 };
+        await runSuite(rootSuite, hasFocusedTests(rootSuite), summary);
+        logger.info(`Tests finished: ${summary.passed} passing, ${summary.failed} failing, ${summary.pending} pending`);
+        return summary;
+    }
+
+    rootSuite.ctx = createContext(rootSuite, null);
+
+    let describe = (title, fn) => addSuite(title, fn, undefined);
+    describe.only = (title, fn) => addSuite(title, fn, 'only');
+    describe.skip = (title, fn) => addSuite(title, fn, 'skip');
+    let it = (title, fn) => addTest(title, fn, undefined);
+    it.only = (title, fn) => addTest(title, fn, 'only');
+    it.skip = (title, fn) => addTest(title, fn, 'skip');
+    it.retries = (n) => {
+        currentSuite.retries = n;
+    };
+
+    let globals = {
+        require: requireModule,
+        describe: describe,
+        context: describe,
+        xdescribe: describe.skip,
+        xcontext: describe.skip,
+        it: it,
+        specify: it,
+        xit: it.skip,
+        xspecify: it.skip,
+        before: (title, fn) => addHook('before', title, fn),
+        after: (title, fn) => addHook('after', title, fn),
+        beforeEach: (title, fn) => addHook('beforeEach', title, fn),
+        afterEach: (title, fn) => addHook('afterEach', title, fn),
+        /* TDD interface */
+        suite: describe,
+        test: it,
+        suiteSetup: (title, fn) => addHook('before', title, fn),
+        suiteTeardown: (title, fn) => addHook('after', title, fn),
+        setup: (title, fn) => addHook('beforeEach', title, fn),
+        teardown: (title, fn) => addHook('afterEach', title, fn)
+    };
+
+    return { globals, run };
+}
+
+export { createMochaEnvironment, isMochaTestFile, PendingError };
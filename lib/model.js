@@ -0,0 +1,303 @@
+import { readFileSync } from 'node:fs';
+import { isCovariant, checkCompatible, unionTypes, sameType } from './utils.js';
+import { validate } from './schema.js';
+
+/**
+ * Version of the model format written by this version of the tool.
+ */
+const MODEL_VERSION = 2;
+
+const MODEL_SCHEMA = JSON.parse(readFileSync(new URL('./model.schema.json', import.meta.url), { encoding: 'utf-8' }));
+
+
+/**
+ * Collect the call identifiers used in the paths of a model.
+ */
+function getCallIds(model) {
+    let callIds = new Set();
+    for (let { path } of model.paths) {
+        for (let pathComp of path) {
+            if (pathComp.callId !== undefined && pathComp.callId !== null) {
+                callIds.add(pathComp.callId);
+            }
+        }
+    }
+    return callIds;
+}
+
+function remapPath(path, callIdMap) {
+    return path.map(pathComp => pathComp.callId !== undefined && callIdMap.has(pathComp.callId)
+        ? Object.assign({}, pathComp, { callId: callIdMap.get(pathComp.callId) })
+        : pathComp);
+}
+
+/**
+ * Merge several models of the same library into one model.
+ *
+ * Identical paths are unified, with the union of their types. Call identifiers already used by
+ * an earlier model are renamed, so call sites of different models stay distinct, and rho
+ * relations and aliases are re-mapped accordingly. Each
+ * path records in `sources` the indices (into the `sources` of the merged model) of the models
+ * that contributed it. Paths keep the order of the models and of the paths within each model.
+ */
+function mergeModels(models, sourceNames) {
+    let merged = { version: MODEL_VERSION, paths: [], rhoRelations: [], aliases: [], sources: [] };
+    let pathIndex = new Map();
+    let rhoIndex = new Set();
+    let aliasIndex = new Set();
+    let usedCallIds = new Set();
+
+    models.forEach((model, i) => {
+        /* A merged model can be merged again; its paths keep their original sources */
+        let modelSources = model.sources || [sourceNames[i]];
+        let sourceIds = modelSources.map(name => {
+            let id = merged.sources.indexOf(name);
+            if (id < 0) {
+                id = merged.sources.push(name) - 1;
+            }
+            return id;
+        });
+
+        let callIdMap = new Map();
+        for (let callId of getCallIds(model)) {
+            let newCallId = callId;
+            for (let n = 1; usedCallIds.has(newCallId); n++) {
+                newCallId = `${callId}-${n}`;
+            }
+            callIdMap.set(callId, newCallId);
+        }
+        for (let callId of callIdMap.values()) {
+            usedCallIds.add(callId);
+        }
+
+        for (let entry of model.paths) {
+            let path = remapPath(entry.path, callIdMap);
+            let sources = entry.sources ? entry.sources.map(s => sourceIds[s]) : [sourceIds[0]];
+            let key = JSON.stringify(path);
+            let existing = pathIndex.get(key);
+            if (existing === undefined) {
+                existing = { path: path, type: entry.type, order: merged.paths.length, sources: [] };
+                pathIndex.set(key, existing);
+                merged.paths.push(existing);
+            } else {
+                existing.type = unionTypes(existing.type, entry.type);
+            }
+            for (let s of sources) {
+                if (existing.sources.indexOf(s) < 0) {
+                    existing.sources.push(s);
+                }
+            }
+        }
+
+        for (let [s, t] of model.rhoRelations) {
+            let relation = [remapPath(s, callIdMap), remapPath(t, callIdMap)];
+            let key = JSON.stringify(relation);
+            if (!rhoIndex.has(key)) {
+                rhoIndex.add(key);
+                merged.rhoRelations.push(relation);
+            }
+        }
+
+        for (let [s, t] of model.aliases || []) {
+            let alias = [remapPath(s, callIdMap), remapPath(t, callIdMap)];
+            let key = JSON.stringify(alias);
+            if (!aliasIndex.has(key)) {
+                aliasIndex.add(key);
+                merged.aliases.push(alias);
+            }
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Names of the modules at the roots of the paths of a model.
+ */
+function getRootModules(model) {
+    let modules = new Set();
+    for (let { path } of model.paths) {
+        if (path.length > 0 && path[0].moduleName !== undefined) {
+            modules.add(path[0].moduleName);
+        }
+    }
+    return Array.from(modules);
+}
+
+/**
+ * Replace the call identifiers of a model by canonical ones (`#0`, `#1`, ...) numbering the
+ * calls under the same prefix in the order they were recorded. Two models generated from the
+ * same client then name the same call site identically, whatever identifiers were generated.
+ */
+function canonicalizeCallIds(model) {
+    let callIdsByPrefix = new Map();
+    let entries = model.paths.map((entry, idx) => ({ entry, idx }));
+    entries.sort((a, b) => (a.entry.order !== undefined && b.entry.order !== undefined ? a.entry.order - b.entry.order : a.idx - b.idx));
+    let mappings = new Map();
+
+    function canonicalize(path) {
+        let canonical = [];
+        for (let pathComp of path) {
+            if (pathComp.callId !== undefined && pathComp.callId !== null) {
+                let prefixKey = JSON.stringify(canonical);
+                if (!callIdsByPrefix.has(prefixKey)) {
+                    callIdsByPrefix.set(prefixKey, new Map());
+                }
+                let callIds = callIdsByPrefix.get(prefixKey);
+                if (!callIds.has(pathComp.callId)) {
+                    callIds.set(pathComp.callId, '#' + callIds.size);
+                }
+                canonical.push(Object.assign({}, pathComp, { callId: callIds.get(pathComp.callId) }));
+            } else {
+                canonical.push(pathComp);
+            }
+        }
+        return canonical;
+    }
+
+    for (let { entry } of entries) {
+        mappings.set(entry, canonicalize(entry.path));
+    }
+    return {
+        paths: model.paths.map(entry => Object.assign({}, entry, { path: mappings.get(entry) })),
+        rhoRelations: (model.rhoRelations || []).map(([s, t]) => [canonicalize(s), canonicalize(t)]),
+        aliases: (model.aliases || []).map(([s, t]) => [canonicalize(s), canonicalize(t)])
+    };
+}
+
+/**
+ * Compare the paths of two models of the same client, e.g. generated against two versions of a
+ * library. Returns the paths only in the new model (`added`), only in the old model (`removed`)
+ * and the paths whose recorded type changed (`changed`). A type change is compatible when the
+ * new type is a subtype of the old one in a covariant position, or a supertype of it in a
+ * contravariant position.
+ */
+function diffModels(oldModel, newModel) {
+    let oldPaths = new Map(canonicalizeCallIds(oldModel).paths.map(e => [JSON.stringify(e.path), e]));
+    let newPaths = new Map(canonicalizeCallIds(newModel).paths.map(e => [JSON.stringify(e.path), e]));
+    let diff = { added: [], removed: [], changed: [] };
+
+    for (let [key, entry] of newPaths) {
+        if (!oldPaths.has(key)) {
+            diff.added.push({ path: entry.path, type: entry.type, variance: getVariance(entry.path) });
+        }
+    }
+    for (let [key, entry] of oldPaths) {
+        let newEntry = newPaths.get(key);
+        if (newEntry === undefined) {
+            diff.removed.push({ path: entry.path, type: entry.type, variance: getVariance(entry.path) });
+        } else if (!sameType(entry.type, newEntry.type)) {
+            let variance = getVariance(entry.path);
+            diff.changed.push({
+                path: entry.path,
+                variance: variance,
+                oldType: entry.type,
+                newType: newEntry.type,
+                compatible: variance === 'covariant' ? checkCompatible(newEntry.type, entry.type) : checkCompatible(entry.type, newEntry.type)
+            });
+        }
+    }
+    return diff;
+}
+
+function getVariance(path) {
+    return isCovariant(path) ? 'covariant' : 'contravariant';
+}
+
+/**
+ * Keys of all the paths of a model and of their prefixes.
+ */
+function getPathPrefixes(model) {
+    let prefixes = new Set();
+    for (let { path } of model.paths) {
+        for (let i = 1; i <= path.length; i++) {
+            prefixes.add(JSON.stringify(path.slice(0, i)));
+        }
+    }
+    return prefixes;
+}
+
+/**
+ * Migrate a model written by an older version of the tool to the current version. Models
+ * without a `version` have version 1: they may lack `rhoRelations` and the `order` of their
+ * paths, and rho relations may refer to paths that were removed when they were compressed.
+ * Returns the migrated model and notes describing the changes.
+ */
+function migrateModel(model) {
+    let notes = [];
+    if (model === null || typeof model !== 'object' || Array.isArray(model)) {
+        return { model, notes };
+    }
+    let version = model.version === undefined ? 1 : model.version;
+    if (typeof version === 'number' && version > MODEL_VERSION) {
+        throw new Error(`Unsupported model version ${version}, the latest supported version is ${MODEL_VERSION}`);
+    }
+    if (version === 1 && Array.isArray(model.paths)) {
+        let migrated = { version: MODEL_VERSION, paths: model.paths, rhoRelations: model.rhoRelations };
+        if (model.sources !== undefined) {
+            migrated.sources = model.sources;
+        }
+        migrated.paths = model.paths.map((entry, idx) => entry !== null && typeof entry === 'object' && entry.order === undefined
+            ? Object.assign({}, entry, { order: idx })
+            : entry);
+        if (!Array.isArray(migrated.rhoRelations)) {
+            migrated.rhoRelations = [];
+            notes.push('Added the missing rho relations');
+        } else {
+            let prefixes = getPathPrefixes(migrated);
+            migrated.rhoRelations = migrated.rhoRelations.filter((relation, i) => {
+                let valid = Array.isArray(relation) && relation.every(path => prefixes.has(JSON.stringify(path)));
+                if (!valid) {
+                    notes.push(`Dropped the rho relation ${i}, whose paths are not in the model`);
+                }
+                return valid;
+            });
+        }
+        notes.push(`Migrated the model from version 1 to version ${MODEL_VERSION}`);
+        return { model: migrated, notes };
+    }
+    return { model, notes };
+}
+
+/**
+ * Validate a model against the model schema (`model.schema.json`) and check that its rho
+ * relations and aliases refer to paths of the model. Returns the list of errors.
+ */
+function validateModel(model) {
+    let errors = validate(model, MODEL_SCHEMA);
+    if (errors.length > 0) {
+        return errors;
+    }
+    let prefixes = getPathPrefixes(model);
+    for (let field of ['rhoRelations', 'aliases']) {
+        (model[field] || []).forEach((relation, i) => {
+            relation.forEach((path, j) => {
+                if (!prefixes.has(JSON.stringify(path))) {
+                    errors.push(`/${field}/${i}/${j}: the path is not in the model`);
+                }
+            });
+        });
+    }
+    return errors;
+}
+
+/**
+ * Read a model file, migrate it to the current version and validate it. Returns the model and
+ * the notes of the migration, and throws an error listing the problems of an invalid model.
+ */
+function readModel(file) {
+    let content;
+    try {
+        content = JSON.parse(readFileSync(file, { encoding: 'utf-8' }));
+    } catch (e) {
+        throw new Error(`Cannot read the model ${file}: ${e.message}`);
+    }
+    let { model, notes } = migrateModel(content);
+    let errors = validateModel(model);
+    if (errors.length > 0) {
+        throw new Error(`Invalid model ${file}:\n` + errors.map(e => '  ' + e).join('\n'));
+    }
+    return { model, notes };
+}
+
+export { MODEL_VERSION, mergeModels, getRootModules, canonicalizeCallIds, diffModels, migrateModel, validateModel, readModel };
@@ -0,0 +1,228 @@
+import { getUnionMembers } from './utils.js';
+
+/**
+ * Kinds of breaking changes reported by the type regression test.
+ */
+const BREAKING_KINDS = {
+    'missing-property': 'A property the client relies on is missing or cannot be reached',
+    'incompatible-type': 'A value has a type that is not compatible with the modeled type',
+    'incompatible-return-type': 'A call or construction returns a value of an incompatible type',
+    'unexpected-property-access': 'The library accesses a property of a client value that the client never provided',
+    'unexpected-call': 'The library calls a client callback in a way the client never handled',
+    'receiver-dependent': 'A function the client calls without its object (e.g. detached) or on another receiver now depends on its receiver',
+    'broken-alias': 'Two paths that gave the same object now give different objects',
+    'callback-not-invoked': 'The library never invokes a callback that it used to invoke',
+    'missing-key': 'A key the client enumerated or tested for is no longer present',
+    'changed-descriptor': 'A property is no longer enumerable, writable or configurable, or changed between data and accessor',
+    'promise-outcome': 'A promise settles differently than it used to',
+    'missing-exception': 'A call that used to throw (e.g. to reject invalid input) now completes normally',
+    'changed-exception': 'A call throws a value of a different type or error class than it used to',
+    'module-not-loadable': 'The library module cannot be loaded',
+    'execution-error': 'Executing a modeled path throws an error'
+};
+
+/**
+ * Format an access path in a compact, human-readable way, e.g. `require('qs').parse()`.
+ */
+function formatPath(path) {
+    let s = '';
+    for (let pathComp of path) {
+        switch (pathComp.compType) {
+            case 'require':
+            case 'import':
+                s += `${pathComp.compType}('${pathComp.moduleName}')`;
+                break;
+            case 'accessProp':
+                s += formatProperty(pathComp);
+                break;
+            case 'writeProp':
+                s += formatProperty(pathComp) + '=';
+                break;
+            case 'override':
+                s += `<override ${formatProperty(pathComp)}>`;
+                break;
+            case 'super':
+                s += `<super ${formatProperty(pathComp)}>`;
+                break;
+            case 'hasProp':
+                s += `<has ${formatProperty(pathComp)}>`;
+                break;
+            case 'deleteProp':
+                s += `<delete ${formatProperty(pathComp)}>`;
+                break;
+            case 'describeProp':
+                s += `<descriptor ${formatProperty(pathComp)}>`;
+                break;
+            case 'call':
+                s += '()';
+                break;
+            case 'new':
+                s += pathComp.subclass ? '<new subclass>()' : '<new>()';
+                break;
+            case 'arg':
+                s += `<arg${pathComp.argId}>`;
+                break;
+            case 'receiver':
+                s += '<this>';
+                break;
+            case 'element':
+                s += `[${pathComp.index}]`;
+                break;
+            case 'mapGet':
+                s += `.get(${formatEntryKey(pathComp.key)})`;
+                break;
+            case 'setHas':
+                s += `.has(${formatEntryKey(pathComp.key)})`;
+                break;
+            default:
+                s += `<${pathComp.compType}>`;
+        }
+    }
+    return s;
+}
+
+function formatProperty(pathComp) {
+    return pathComp.symbol !== undefined ? `[${pathComp.symbol}]` : `.${pathComp.propName}`;
+}
+
+function formatEntryKey(key) {
+    /* `null` and `undefined` are serialized as their type */
+    if (typeof key === 'string') {
+        return key;
+    }
+    return key.primType === 'string' ? `'${key.value}'` : String(key.value);
+}
+
+function escapeXml(s) {
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/**
+ * Format a type for messages, e.g. `object`, `{"primType":"number","value":1}` or `null | object`.
+ */
+function formatType(type) {
+    if (type === undefined) {
+        return undefined;
+    }
+    return getUnionMembers(type).map(t => typeof t === 'string' ? t : JSON.stringify(t)).join(' | ');
+}
+
+function describeChange(change) {
+    let message = `${BREAKING_KINDS[change.kind] || change.kind}: ${formatPath(change.path)}`;
+    if (change.expected !== undefined || change.actual !== undefined) {
+        message += ` (expected ${formatType(change.expected)}, actual ${formatType(change.actual)})`;
+    }
+    if (change.reason) {
+        message += ` - ${change.reason}`;
+    }
+    return message;
+}
+
+/**
+ * Create a report collecting the breaking changes found by the type regression test.
+ */
+function createReport({ library, model }) {
+    let checkedPaths = [];
+    let breakingChanges = [];
+
+    function addCheckedPath(path) {
+        checkedPaths.push(path);
+    }
+
+    function addBreakingChange(change) {
+        breakingChanges.push(change);
+    }
+
+    function getSummary() {
+        let byKind = {};
+        for (let change of breakingChanges) {
+            byKind[change.kind] = (byKind[change.kind] || 0) + 1;
+        }
+        return { checkedPaths: checkedPaths.length, breakingChanges: breakingChanges.length, byKind: byKind };
+    }
+
+    function toJSON() {
+        return {
+            library: library,
+            model: model,
+            summary: getSummary(),
+            breakingChanges: breakingChanges.map(change => Object.assign({ pathString: formatPath(change.path) }, change))
+        };
+    }
+
+    /**
+     * One test case per checked path; breaking changes found on other paths get their own test case.
+     */
+    function toJUnit() {
+        let cases = new Map();
+        for (let path of checkedPaths) {
+            cases.set(formatPath(path), []);
+        }
+        for (let change of breakingChanges) {
+            let name = formatPath(change.path);
+            if (!cases.has(name)) {
+                cases.set(name, []);
+            }
+            cases.get(name).push(change);
+        }
+        let failures = Array.from(cases.values()).filter(c => c.length > 0).length;
+        let lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+        lines.push(`<testsuites name="noregretsplus" tests="${cases.size}" failures="${failures}">`);
+        lines.push(`  <testsuite name="${escapeXml(library)}" tests="${cases.size}" failures="${failures}" errors="0" skipped="0">`);
+        for (let [name, changes] of cases) {
+            if (changes.length === 0) {
+                lines.push(`    <testcase classname="${escapeXml(library)}" name="${escapeXml(name)}"/>`);
+                continue;
+            }
+            lines.push(`    <testcase classname="${escapeXml(library)}" name="${escapeXml(name)}">`);
+            for (let change of changes) {
+                lines.push(`      <failure type="${escapeXml(change.kind)}" message="${escapeXml(describeChange(change))}">${escapeXml(JSON.stringify(change))}</failure>`);
+            }
+            lines.push('    </testcase>');
+        }
+        lines.push('  </testsuite>');
+        lines.push('</testsuites>');
+        return lines.join('\n') + '\n';
+    }
+
+    function toSarif() {
+        return {
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: 'noregretsplus-js',
+                        informationUri: 'https://github.com/cs-au-dk/noregrets',
+                        rules: Object.keys(BREAKING_KINDS).map(kind => ({ id: kind, shortDescription: { text: BREAKING_KINDS[kind] } }))
+                    }
+                },
+                results: breakingChanges.map(change => ({
+                    ruleId: change.kind,
+                    level: 'error',
+                    message: { text: describeChange(change) },
+                    locations: [{ logicalLocations: [{ fullyQualifiedName: formatPath(change.path), kind: 'member' }] }],
+                    properties: { path: change.path, expected: change.expected, actual: change.actual, reason: change.reason }
+                })),
+                properties: { library: library, model: model, summary: getSummary() }
+            }]
+        };
+    }
+
+    /**
+     * Serialize the report in one of the supported formats (`json`, `junit` or `sarif`).
+     */
+    function serialize(format) {
+        if (format === 'junit') {
+            return toJUnit();
+        }
+        if (format === 'sarif') {
+            return JSON.stringify(toSarif(), null, 2) + '\n';
+        }
+        return JSON.stringify(toJSON(), null, 2) + '\n';
+    }
+
+    return { addCheckedPath, addBreakingChange, getSummary, toJSON, toJUnit, toSarif, serialize };
+}
+
+export { createReport, formatPath, formatType, BREAKING_KINDS };
@@ -0,0 +1,165 @@
+import { existsSync, readFileSync, statSync } from 'node:fs';
+import { join, resolve, isAbsolute } from 'node:path';
+
+/**
+ * Conditions used to resolve the "exports" field of a package for require() and import.
+ */
+const REQUIRE_CONDITIONS = ['node', 'require', 'default'];
+const IMPORT_CONDITIONS = ['node', 'import', 'default'];
+
+const EXTENSIONS = ['.js', '.cjs', '.mjs', '.json'];
+
+function isFile(path) {
+    return existsSync(path) && statSync(path).isFile();
+}
+
+/**
+ * Split a bare module name into the package name and the subpath, e.g. `@scope/pkg/lib/x` into `@scope/pkg` and `./lib/x`.
+ */
+function splitModuleName(moduleName) {
+    let parts = moduleName.split('/');
+    let length = moduleName.startsWith('@') ? 2 : 1;
+    let rest = parts.slice(length).join('/');
+    return { packageName: parts.slice(0, length).join('/'), subpath: rest ? './' + rest : '.' };
+}
+
+/**
+ * Find the file for a path the way require() does: the exact file, then with extensions, then the directory index.
+ */
+function resolveFile(path) {
+    if (isFile(path)) {
+        return path;
+    }
+    for (let ext of EXTENSIONS) {
+        if (isFile(path + ext)) {
+            return path + ext;
+        }
+    }
+    for (let ext of EXTENSIONS) {
+        if (isFile(join(path, 'index' + ext))) {
+            return join(path, 'index' + ext);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Resolve a conditional export target (a string, an array of alternatives or an object of conditions).
+ */
+function resolveExportsTarget(target, conditions, patternMatch) {
+    if (typeof target === 'string') {
+        return patternMatch === undefined ? target : target.split('*').join(patternMatch);
+    }
+    if (Array.isArray(target)) {
+        for (let t of target) {
+            let r = resolveExportsTarget(t, conditions, patternMatch);
+            if (r !== undefined) {
+                return r;
+            }
+        }
+        return undefined;
+    }
+    if (target !== null && typeof target === 'object') {
+        for (let key of Object.keys(target)) {
+            if (conditions.indexOf(key) >= 0) {
+                let r = resolveExportsTarget(target[key], conditions, patternMatch);
+                if (r !== undefined) {
+                    return r;
+                }
+            }
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Resolve a subpath (`.` or `./x`) against the "exports" field of a package.json.
+ */
+function resolvePackageExports(exportsField, subpath, conditions) {
+    let isSubpathMap = exportsField !== null && typeof exportsField === 'object' && !Array.isArray(exportsField)
+        && Object.keys(exportsField).some(k => k.startsWith('.'));
+    let exportsMap = isSubpathMap ? exportsField : { '.': exportsField };
+    if (Object.prototype.hasOwnProperty.call(exportsMap, subpath)) {
+        return resolveExportsTarget(exportsMap[subpath], conditions, undefined);
+    }
+    for (let key of Object.keys(exportsMap)) {
+        let star = key.indexOf('*');
+        if (star < 0) {
+            continue;
+        }
+        let prefix = key.slice(0, star);
+        let suffix = key.slice(star + 1);
+        if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= key.length - 1) {
+            return resolveExportsTarget(exportsMap[key], conditions, subpath.slice(prefix.length, subpath.length - suffix.length));
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Resolve a subpath of a package directory, honouring "exports" and falling back to "main".
+ */
+function resolvePackageEntry(packageDir, subpath, conditions) {
+    let packageJsonPath = join(packageDir, 'package.json');
+    let packageJsonContent = isFile(packageJsonPath) ? JSON.parse(readFileSync(packageJsonPath, { encoding: 'utf-8' })) : {};
+    if (packageJsonContent.exports !== undefined) {
+        let target = resolvePackageExports(packageJsonContent.exports, subpath, conditions);
+        return target !== undefined && isFile(join(packageDir, target)) ? join(packageDir, target) : undefined;
+    }
+    if (subpath === '.') {
+        return resolveFile(join(packageDir, packageJsonContent.main || 'index.js')) || resolveFile(join(packageDir, 'index'));
+    }
+    return resolveFile(join(packageDir, subpath));
+}
+
+/**
+ * Simulate module resolution of Node.js for a module name requested from the directory `basedir`.
+ * Returns the absolute path of the module file, or undefined if it cannot be found.
+ */
+function resolveModule(moduleName, basedir, conditions = REQUIRE_CONDITIONS) {
+    if (moduleName.startsWith('./') || moduleName.startsWith('../') || moduleName === '.' || moduleName === '..' || isAbsolute(moduleName)) {
+        return resolveFile(resolve(basedir, moduleName));
+    }
+    let { packageName, subpath } = splitModuleName(moduleName);
+    let p = resolve(basedir);
+    while (true) {
+        let packageDir = join(p, 'node_modules', packageName);
+        if (existsSync(packageDir)) {
+            return resolvePackageEntry(packageDir, subpath, conditions);
+        }
+        if (resolve(p, '..') === p) {
+            break;
+        }
+        p = resolve(p, '..');
+    }
+    return undefined;
+}
+
+/**
+ * Resolve a module of the library named in a model. With `library`, the library (including
+ * its subpaths) is loaded from the given directory or under the given name instead.
+ */
+function resolveLibraryModule(moduleName, library, conditions) {
+    let { packageName, subpath } = splitModuleName(moduleName);
+    if (library !== undefined) {
+        let libraryPath = resolve(library);
+        if (isFile(libraryPath) && subpath === '.') {
+            return libraryPath;
+        }
+        if (existsSync(libraryPath) && statSync(libraryPath).isDirectory()) {
+            /* An extracted tarball keeps the package in a "package" directory */
+            if (!existsSync(join(libraryPath, 'package.json')) && existsSync(join(libraryPath, 'package', 'package.json'))) {
+                libraryPath = join(libraryPath, 'package');
+            }
+            let modulePath = resolvePackageEntry(libraryPath, subpath, conditions);
+            if (modulePath === undefined) {
+                throw new Error(`Cannot find "${subpath}" of the library in ${libraryPath}`);
+            }
+            return modulePath;
+        }
+        moduleName = library + moduleName.slice(packageName.length);
+    }
+    return resolveModule(moduleName, process.cwd(), conditions) || moduleName;
+}
+
+export { resolveModule, resolvePackageEntry, resolveLibraryModule, splitModuleName, REQUIRE_CONDITIONS, IMPORT_CONDITIONS };
@@ -0,0 +1,97 @@
+import deepEqual from 'deep-equal';
+
+function resolveRef(rootSchema, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported schema reference: ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((s, key) => s[key], rootSchema);
+}
+
+function getJsonType(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    let actual = getJsonType(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a JSON schema (draft 7). Only the keywords used by the schemas of
+ * this project are supported: `$ref` to local definitions, `type`, `const`, `enum`, `minimum`,
+ * `required`, `properties`, `items`, `minItems`, `maxItems`, `allOf`, `anyOf` and `if`/`then`.
+ *
+ * Returns the list of errors, each prefixed with the JSON pointer of the invalid value.
+ */
+function validate(value, schema, rootSchema = schema, pointer = '') {
+    if (schema.$ref !== undefined) {
+        return validate(value, resolveRef(rootSchema, schema.$ref), rootSchema, pointer);
+    }
+    let errors = [];
+    let fail = message => errors.push(`${pointer || '/'}: ${message}`);
+
+    if (schema.type !== undefined) {
+        let types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => matchesType(value, t))) {
+            fail(`must be of type ${types.join(' or ')}`);
+            return errors;
+        }
+    }
+    if (schema.const !== undefined && !deepEqual(value, schema.const)) {
+        fail(`must be equal to ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum !== undefined && !schema.enum.some(e => deepEqual(e, value))) {
+        fail(`must be one of ${schema.enum.map(e => JSON.stringify(e)).join(', ')}`);
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+        fail(`must be greater than or equal to ${schema.minimum}`);
+    }
+
+    if (getJsonType(value) === 'object') {
+        for (let key of schema.required || []) {
+            if (!Object.prototype.hasOwnProperty.call(value, key)) {
+                fail(`must have the required property '${key}'`);
+            }
+        }
+        for (let key in schema.properties || {}) {
+            if (Object.prototype.hasOwnProperty.call(value, key)) {
+                errors.push(...validate(value[key], schema.properties[key], rootSchema, `${pointer}/${key}`));
+            }
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items !== undefined) {
+            value.forEach((item, i) => errors.push(...validate(item, schema.items, rootSchema, `${pointer}/${i}`)));
+        }
+    }
+
+    for (let s of schema.allOf || []) {
+        errors.push(...validate(value, s, rootSchema, pointer));
+    }
+    if (schema.anyOf !== undefined && !schema.anyOf.some(s => validate(value, s, rootSchema, pointer).length === 0)) {
+        let descriptions = schema.anyOf.map(s => s.description).filter(d => d !== undefined);
+        fail(descriptions.length > 0 ? `must match one of: ${descriptions.join('; ')}` : 'must match one of the allowed schemas');
+    }
+    if (schema.if !== undefined && schema.then !== undefined && validate(value, schema.if, rootSchema, pointer).length === 0) {
+        errors.push(...validate(value, schema.then, rootSchema, pointer));
+    }
+    return errors;
+}
+
+export { validate };
@@ -1,3 +1,6 @@
+import deepEqual from 'deep-equal';
+import { types } from 'node:util';
+
 
 /**
  * Get type of a contravariant path.
@@ -16,10 +19,12 @@ function getType(obj) {
         type = 'array';
     } else if (obj === true || obj === false) {
         type = 'boolean';
-    } else if (obj instanceof Set) {
+    } else if (types.isSet(obj)) {
         type = 'set';
-    } else if (obj instanceof Map) {
+    } else if (types.isMap(obj)) {
         type = 'map';
+    } else if (isPromise(obj)) {
+        type = 'promise';
     } else if (obj instanceof Error) {
         return 'error';
     }
@@ -47,13 +52,16 @@ function getArgumentType(arg) {
     if (arg instanceof Array || Array.isArray(arg)) {
         return 'array';
     }
+    if (isPromise(arg)) {
+        return 'promise';
+    }
     if (arg instanceof Error) {
         return 'error';
     }
-    if (arg instanceof Map) {
+    if (types.isMap(arg)) {
         return 'map';
     }
-    if (arg instanceof Set) {
+    if (types.isSet(arg)) {
         return 'set';
     }
     if (Array.isArray(arg)) {
@@ -64,17 +72,25 @@ function getArgumentType(arg) {
     } else if (typeof arg === 'function') {
         return 'function';
     }
-    console.log(typeof arg);
     return typeof arg;
 }
 
 /**
- * Determine covariance.
+ * Check whether a value is a native promise (including promises from other realms). The check
+ * reads no property, so that it is not recorded as an access of the client to a library object.
+ */
+function isPromise(obj) {
+    return types.isPromise(obj);
+}
+
+/**
+ * Determine covariance. Arguments, receivers of calls, property writes and members overridden by
+ * a client subclass are values going from the caller to the callee, so each of them flips the variance.
  */
 function isCovariant(path) {
     let arrowCount = 0;
     for (let pathComp of path) {
-        if (pathComp.compType === 'arg' || pathComp.compType === 'writeProp') {
+        if (pathComp.compType === 'arg' || pathComp.compType === 'receiver' || pathComp.compType === 'writeProp' || pathComp.compType === 'override') {
             arrowCount += 1;
         }
     }
@@ -82,19 +98,214 @@ function isCovariant(path) {
 }
 
 /**
- * Make a random string identifier (usually for function calls)
+ * Get the members of a type, which is either a single type or a union `{union: [...]}`
+ * of the types observed for the same path.
+ */
+function getUnionMembers(type) {
+    return type !== null && typeof type === 'object' && Array.isArray(type.union) ? type.union : [type];
+}
+
+/**
+ * Add the members of the second type to the first one, giving a single type or a union.
+ */
+function unionTypes(type1, type2) {
+    let members = getUnionMembers(type1).slice();
+    for (let m of getUnionMembers(type2)) {
+        if (!members.some(x => deepEqual(x, m))) {
+            members.push(m);
+        }
+    }
+    return members.length === 1 ? members[0] : {union: members};
+}
+
+/**
+ * Check whether two types have the same members, regardless of their order.
+ */
+function sameType(type1, type2) {
+    let members1 = getUnionMembers(type1);
+    let members2 = getUnionMembers(type2);
+    return members1.length === members2.length && members1.every(x => members2.some(y => deepEqual(x, y)));
+}
+
+function checkMemberCompatible(type1, type2) {
+    if (type2 === null) {
+        return true;
+    }
+    if (type2 === 'object') {
+        if (type1 === 'object' || type1 === 'function' || type1 === 'map' || type1 === 'set' || type1 === 'promise') {
+            return true;
+        }
+    }
+    if (type2 === type1) {
+        return true;
+    }
+    if (deepEqual(type2, type1)) {
+        return true;
+    }
+    /* Own keys: the keys that were observed must still be there */
+    if (isObjectType(type1, 'keys') && isObjectType(type2, 'keys')) {
+        return type2.keys.every(k => type1.keys.some(k1 => deepEqual(k1, k)));
+    }
+    /* Descriptors: the attributes that were set must still be set */
+    if (isObjectType(type1, 'descriptor') && isObjectType(type2, 'descriptor')) {
+        return type1.descriptor.accessor === type2.descriptor.accessor
+            && ['enumerable', 'configurable', 'writable'].every(a => !type2.descriptor[a] || type1.descriptor[a]);
+    }
+    return false;
+}
+
+function isObjectType(type, key) {
+    return type !== null && typeof type === 'object' && type[key] !== undefined;
+}
+
+/**
+ * Check whether the first type is a subtype of the second type. With unions, every member
+ * of the first type must be a subtype of some member of the second type.
  */
-function makeRandomString(length) {
-    let result = '';
-    const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-    const charactersLength = characters.length;
-    let counter = 0;
-    while (counter < length) {
-    result += characters.charAt(Math.floor(Math.random() * charactersLength));
-    counter += 1;
+function checkCompatible(type1, type2) {
+    let members2 = getUnionMembers(type2);
+    return getUnionMembers(type1).every(m1 => members2.some(m2 => checkMemberCompatible(m1, m2)));
+}
+
+function checkAllCompatible(types1, types2) {
+    for (let i = 0; i < types1.length; i++) {
+        if (!checkCompatible(types1[i], types2[i])) {
+            return false;
+        }
+    }
+    return true;
+}
+
+const WELL_KNOWN_SYMBOLS = Object.getOwnPropertyNames(Symbol).filter(name => typeof Symbol[name] === 'symbol');
+
+/* Symbols used by tooling inspecting values rather than by the API of a library */
+const TOOLING_SYMBOLS = [Symbol.for('nodejs.util.inspect.custom'), Symbol.for('jest.asymmetricMatcher')];
+
+/**
+ * Serialize a symbol used as a property key: `Symbol.iterator` for a well-known symbol and
+ * `Symbol.for(key)` for a registered one. Other symbols are unique to one execution and cannot
+ * be modeled, so `undefined` is returned for them (and for symbols used by tooling).
+ */
+function serializeSymbol(symbol) {
+    if (TOOLING_SYMBOLS.indexOf(symbol) >= 0) {
+        return undefined;
+    }
+    for (let name of WELL_KNOWN_SYMBOLS) {
+        if (Symbol[name] === symbol) {
+            return `Symbol.${name}`;
+        }
+    }
+    let key = Symbol.keyFor(symbol);
+    return key === undefined ? undefined : `Symbol.for(${key})`;
+}
+
+/**
+ * Get back the symbol serialized by `serializeSymbol`.
+ */
+function deserializeSymbol(s) {
+    if (s.startsWith('Symbol.for(') && s.endsWith(')')) {
+        return Symbol.for(s.slice('Symbol.for('.length, -1));
+    }
+    return Symbol[s.slice('Symbol.'.length)];
+}
+
+/**
+ * Create an `accessProp` or `writeProp` path component for a property key. A symbol key is
+ * stored as `symbol` instead of `propName`.
+ */
+function createPropertyComponent(compType, key) {
+    if (typeof key === 'symbol') {
+        return { compType: compType, symbol: serializeSymbol(key) };
+    }
+    return { compType: compType, propName: key };
+}
+
+/**
+ * Get the property key (a string or a symbol) of an `accessProp` or `writeProp` path component.
+ */
+function getPropertyKey(pathComp) {
+    return pathComp.symbol !== undefined ? deserializeSymbol(pathComp.symbol) : pathComp.propName;
+}
+
+/**
+ * Get the type of the own keys of an object, `{keys: [...]}`. Symbol keys are serialized as
+ * `{symbol: ...}` like in path components.
+ */
+function getKeysType(keys) {
+    let serialized = [];
+    for (let k of keys) {
+        if (typeof k !== 'symbol') {
+            serialized.push(k);
+        } else if (serializeSymbol(k) !== undefined) {
+            serialized.push({ symbol: serializeSymbol(k) });
+        }
+    }
+    return { keys: serialized };
+}
+
+/**
+ * Get the type of a property descriptor, `{descriptor: {...}}` with its attributes, or
+ * `undefined` if the property does not exist.
+ */
+function getDescriptorType(descriptor) {
+    if (descriptor === undefined) {
+        return 'undefined';
+    }
+    let accessor = descriptor.get !== undefined || descriptor.set !== undefined;
+    let attributes = { accessor: accessor, enumerable: !!descriptor.enumerable, configurable: !!descriptor.configurable };
+    if (!accessor) {
+        attributes.writable = !!descriptor.writable;
+    }
+    return { descriptor: attributes };
+}
+
+/**
+ * Get the type of a thrown value: `{error: <constructor name>}` for an error, otherwise the
+ * type of the value.
+ */
+function getThrownType(value) {
+    if (value instanceof Error || types.isNativeError(value)) {
+        let constructor = Object.getPrototypeOf(value) !== null ? value.constructor : undefined;
+        return { error: typeof constructor === 'function' && constructor.name ? constructor.name : 'Error' };
+    }
+    return getType(value);
+}
+
+/**
+ * Whether a property key is an index of an array, i.e. a canonical numeric string below 2^32 - 1.
+ */
+function isArrayIndex(key) {
+    return typeof key === 'string' && /^(0|[1-9][0-9]*)$/.test(key) && Number(key) < 4294967295;
+}
+
+/**
+ * Serialize the key of a Map or Set entry like a primitive value passed by the client, e.g.
+ * `{primType: 'string', value: 'a'}`. Other keys are unique to one execution and cannot be
+ * modeled, so `undefined` is returned for them.
+ */
+function serializeEntryKey(key) {
+    if (key === null || key === undefined || typeof key === 'string' || typeof key === 'number' || typeof key === 'boolean') {
+        return getArgumentType(key);
+    }
+    return undefined;
+}
+
+/**
+ * Get back the key serialized by `serializeEntryKey`. `Infinity` and `NaN` are stored as strings.
+ */
+function deserializeEntryKey(key) {
+    if (key === 'null') {
+        return null;
+    }
+    if (key === 'undefined') {
+        return undefined;
+    }
+    if (key.primType === 'number' && typeof key.value === 'string') {
+        return Number(key.value);
     }
-    return result;
+    return key.value;
 }
 
 
-export default {getType, getArgumentType, isCovariant, makeRandomString};
\ No newline at end of file
+export {getType, getArgumentType, isCovariant, isPromise, getUnionMembers, unionTypes, sameType, checkCompatible, checkAllCompatible, serializeSymbol, deserializeSymbol, createPropertyComponent, getPropertyKey, getKeysType, getDescriptorType, getThrownType, isArrayIndex, serializeEntryKey, deserializeEntryKey};
+export default {getType, getArgumentType, isCovariant, isPromise, getUnionMembers, unionTypes, sameType, checkCompatible, checkAllCompatible, serializeSymbol, deserializeSymbol, createPropertyComponent, getPropertyKey, getKeysType, getDescriptorType, getThrownType, isArrayIndex, serializeEntryKey, deserializeEntryKey};
\ No newline at end of file
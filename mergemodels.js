@@ -0,0 +1,66 @@
+'use strict'
+
+import yargs from 'yargs/yargs';
+import { hideBin } from 'yargs/helpers';
+import { writeFileSync } from 'node:fs';
+import { argv as _argv } from 'node:process';
+import pretty from 'pino-pretty';
+import pino from 'pino';
+import { mergeModels, getRootModules, readModel } from './lib/model.js';
+import { splitModuleName } from './lib/resolve.js';
+const logger = pino(pretty({ sync: true }));
+
+let argv = yargs(hideBin(_argv))
+    .usage('Merge API models of the same library generated from different clients\n\nUsage: $0 [--model <model path>...] [<model path>...] --output <output path>')
+    .option('model', {
+        alias: 'm',
+        type: 'array',
+        string: true,
+        description: 'Path of a model to merge (can be given several times)',
+        default: []
+    })
+    .option('output', {
+        alias: 'o',
+        type: 'string',
+        description: 'Output path for the merged model'
+    })
+    .demandOption(['output'])
+    .help().parse();
+
+let modelPaths = argv.model.concat(argv._.map(String));
+if (modelPaths.length === 0) {
+    logger.error('No model to merge');
+    process.exit(1);
+}
+
+function loadModel(file) {
+    try {
+        let { model, notes } = readModel(file);
+        for (let note of notes) {
+            logger.info(`${file}: ${note}`);
+        }
+        return model;
+    } catch (e) {
+        logger.error(e.message);
+        process.exit(1);
+    }
+}
+
+let models = modelPaths.map(loadModel);
+
+let libraries = new Set();
+for (let model of models) {
+    for (let moduleName of getRootModules(model)) {
+        libraries.add(splitModuleName(moduleName).packageName);
+    }
+}
+if (libraries.size > 1) {
+    logger.error(`The models are for different libraries: ${Array.from(libraries).join(', ')}`);
+    process.exit(1);
+}
+
+let merged = mergeModels(models, modelPaths);
+logger.info(`Merged ${models.length} models: ${merged.paths.length} paths, ${merged.rhoRelations.length} rho relations, ${merged.aliases.length} aliases`);
+
+writeFileSync(argv.output, JSON.stringify(merged));
+logger.info(`Written to the file ${argv.output}`);
@@ -3,12 +3,20 @@ import process from 'process';
 import yargs from 'yargs/yargs';
 import {hideBin} from 'yargs/helpers';
 import fs from 'node:fs';
+import {createRequire} from 'node:module';
+import {pathToFileURL} from 'node:url';
+import {isAbsolute} from 'node:path';
+import {types} from 'node:util';
 import deepEqual from 'deep-equal';
-import {getType, getArgumentType, isCovariant} from './lib/utils';
+import {getType, getArgumentType, isCovariant, isPromise, getUnionMembers, checkCompatible, checkAllCompatible, serializeSymbol, deserializeSymbol, createPropertyComponent, getPropertyKey, getKeysType, getDescriptorType, getThrownType, isArrayIndex, serializeEntryKey, deserializeEntryKey} from './lib/utils.js';
+import {resolveLibraryModule, REQUIRE_CONDITIONS, IMPORT_CONDITIONS} from './lib/resolve.js';
+import {createReport, formatPath} from './lib/report.js';
+import {readModel} from './lib/model.js';
 import pretty from 'pino-pretty';
 import pino from 'pino';
 
 const logger = pino.default(pretty({sync: true}));
+const require = createRequire(import.meta.url);
 
 let argv = yargs().usage('Type regression testing based on a given model')
 .option('library', {
@@ -20,16 +28,41 @@ let argv = yargs().usage('Type regression testing based on a given model')
     type: 'string',
     description: 'Model path'
 })
+.option('timeout', {
+    type: 'number',
+    description: 'Time in milliseconds to wait for a promise returned by the library to settle',
+    default: 5000
+})
+.option('settle-timeout', {
+    type: 'number',
+    description: 'Maximum time in milliseconds to wait for the library to call back asynchronously before the callbacks are checked',
+    default: 5000
+})
 .option('output', {
     alias: 'o',
     type: 'string',
     description: 'Output location of the detection results'
 })
+.option('format', {
+    alias: 'f',
+    type: 'string',
+    choices: ['json', 'junit', 'sarif'],
+    description: 'Format of the detection results written to --output',
+    default: 'json'
+})
 .demandOption(['model'])
 .help().parse(hideBin(process.argv));
 
 let modelPath = argv.model;
 
+/**
+ * Log a breaking path and record it in the report.
+ */
+function reportBreakingPath(kind, path, details = {}) {
+    logger.warn(Object.assign({breakingPath: path, kind: kind}, details));
+    report.addBreakingChange(Object.assign({kind: kind, path: path}, details));
+}
+
 /**
  * Construct a model tree from the generated model.
  */
@@ -61,64 +94,198 @@ function constructModelTree(modelContent) {
         }
     }
 
-    let newRhoRelations = []
-    for (let [s, t] of modelContent.rhoRelations) {
-        let current = root;
-        for (let pathComp of s) {
-            let c = undefined;
-            for (let x of current.children) {
-                if (deepEqual(x.p, pathComp)) {
-                    c = x;
-                    break;
-                }
-            }
-            if (c === undefined) {
-                throw new Error('Incorrect path.')
-            }
-            current = c;
-        }
-        let node1 = current;
+    let newRhoRelations = modelContent.rhoRelations.map(([s, t]) => [findModelNode(root, s), findModelNode(root, t)]);
+    let aliases = (modelContent.aliases || []).map(([s, t]) => [findModelNode(root, s), findModelNode(root, t)]);
 
-        current = root;
-        for (let pathComp of t) {
-            let c = undefined;
-            for (let x of current.children) {
-                if (deepEqual(x.p, pathComp)) {
-                    c = x;
-                    break;
-                }
-            }
-            if (c === undefined) {
-                throw new Error('Incorrect path.');
-            }
-            current = c;
+    return [root, newRhoRelations, aliases];
+}
+
+/**
+ * Find the node of a path in the model tree.
+ */
+function findModelNode(root, path) {
+    let current = root;
+    for (let pathComp of path) {
+        let c = current.children.find(x => deepEqual(x.p, pathComp));
+        if (c === undefined) {
+            throw new Error('Incorrect path.');
         }
-        let node2 = current;
-        newRhoRelations.push([node1, node2]);
+        current = c;
+    }
+    return current;
+}
 
+/**
+ * Check that the paths through which the clients obtained the same library object still give
+ * the same object. Paths that no longer give an object are reported by the traversal already.
+ */
+function checkAliases(aliases) {
+    for (let [node1, node2] of aliases) {
+        if (!node1.processed || !node2.processed || node1.empty || node2.empty
+            || node1.obj === null || typeof node1.obj !== 'object' || node2.obj === null || typeof node2.obj !== 'object') {
+            continue;
+        }
+        if (node1.obj !== node2.obj) {
+            reportBreakingPath('broken-alias', node2.ap, {reason: `no longer the same object as ${formatPath(node1.ap)}`});
+        }
     }
+}
+
+/**
+ * Whether the key of a `mapGet` or `setHas` path component is the given key, compared like
+ * the keys of Maps and Sets.
+ */
+function isEntryKey(pathComp, key) {
+    let k = deserializeEntryKey(pathComp.key);
+    return k === key || (Number.isNaN(k) && Number.isNaN(key));
+}
 
-    return [root, newRhoRelations];
+function isNativeFunction(value) {
+    return typeof value === 'function' && value.toString().indexOf('[native code]') >= 0;
 }
 
 /**
  * Proxify the synthesized object for an argument node
  */
 function getProxy(node, obj) {
+    function findChild(compType, p) {
+        return node.children.find(x => x.p.compType === compType && getPropertyKey(x.p) === p);
+    }
+
+    /* Elements of arrays are modeled by their index */
+    function findValueChild(target, p) {
+        if (Array.isArray(target) && isArrayIndex(p)) {
+            return node.children.find(x => x.p.compType === 'element' && x.p.index === Number(p));
+        }
+        return findChild('accessProp', p);
+    }
+
+    function getChildValue(x) {
+        if (!x.processed) {
+            x.obj = synthesizeValue(x);
+            x.processed = true;
+        }
+        return x.obj;
+    }
+
+    function isUnmodeledSymbol(p) {
+        return typeof p === 'symbol' && serializeSymbol(p) === undefined;
+    }
+
+    function reportUnexpected(compType, p) {
+        reportBreakingPath('unexpected-property-access', node.ap.concat([createPropertyComponent(compType, p)]), {additionalProp: typeof p === 'symbol' ? serializeSymbol(p) : p});
+    }
+
+    /**
+     * Look up the entries of a Map (`get`) or a Set (`has`) in the model.
+     */
+    function getEntryLookup(target, p) {
+        let compType = p === 'get' ? 'mapGet' : 'setHas';
+        return function(key) {
+            let x = node.children.find(x => x.p.compType === compType && isEntryKey(x.p, key));
+            if (x !== undefined) {
+                return compType === 'mapGet' ? getChildValue(x) : getUnionMembers(x.type)[0].value;
+            }
+            if (serializeEntryKey(key) !== undefined) {
+                reportBreakingPath('unexpected-property-access', node.ap.concat([{compType: compType, key: serializeEntryKey(key)}]), {additionalProp: String(key)});
+            }
+            return compType === 'mapGet' ? target.get(key) : target.has(key);
+        };
+    }
+
     return new Proxy(obj, {
         get: function(target, p, receiver) {
-            for (let x of node.children) {
-                if (x.p.compType === 'accessProp' && x.p.propName === p) {
-                    if (!x.processed) {
-                        x.obj = synthesizeValue(x);
-                        x.processed = true;
-                    }
-                    return x.obj;
+            if (isUnmodeledSymbol(p)) {
+                return target[p];
+            }
+            if ((types.isMap(target) && p === 'get') || (types.isSet(target) && p === 'has')) {
+                return getEntryLookup(target, p);
+            }
+            if (Array.isArray(target) || types.isMap(target) || types.isSet(target)) {
+                /* The client's arrays, Maps and Sets have the native methods, which the model does
+                 not record; those of Maps and Sets only work on the target itself */
+                let value = Reflect.get(target, p);
+                if (isNativeFunction(value)) {
+                    return Array.isArray(target) ? value : value.bind(target);
                 }
             }
-            logger.warn({breakingPath: node.ap.concat([{compType: 'accessProp', propName: p}]), additionalProp: p})
+            let x = findValueChild(target, p);
+            if (x !== undefined) {
+                return getChildValue(x);
+            }
+            let value = Reflect.get(target, p);
+            if (isNativeFunction(value)) {
+                /* Native methods, e.g. `call` of a function, are not modeled */
+                return value;
+            }
+            if (Array.isArray(target) && isArrayIndex(p)) {
+                reportBreakingPath('unexpected-property-access', node.ap.concat([{compType: 'element', index: Number(p)}]), {additionalProp: p});
+            } else {
+                reportUnexpected('accessProp', p);
+            }
             return null;
         },
+        has: function(target, p) {
+            if (isUnmodeledSymbol(p)) {
+                return Reflect.has(target, p);
+            }
+            let x = findChild('hasProp', p);
+            if (x !== undefined) {
+                return getUnionMembers(x.type)[0].value;
+            }
+            if (findValueChild(target, p) !== undefined) {
+                return true;
+            }
+            reportUnexpected('hasProp', p);
+            return Reflect.has(target, p);
+        },
+        ownKeys: function(target) {
+            /* Non-configurable keys of the target must always be reported */
+            let targetKeys = Reflect.ownKeys(target).filter(k => !Reflect.getOwnPropertyDescriptor(target, k).configurable);
+            let x = node.children.find(x => x.p.compType === 'ownKeys');
+            if (x === undefined) {
+                reportBreakingPath('unexpected-property-access', node.ap.concat([{compType: 'ownKeys'}]), {});
+                return Reflect.ownKeys(target);
+            }
+            let keys = getUnionMembers(x.type)[0].keys.map(k => typeof k === 'string' ? k : deserializeSymbol(k.symbol));
+            return keys.concat(targetKeys.filter(k => keys.indexOf(k) < 0));
+        },
+        getOwnPropertyDescriptor: function(target, p) {
+            let targetDescriptor = Reflect.getOwnPropertyDescriptor(target, p);
+            if (isUnmodeledSymbol(p) || (targetDescriptor !== undefined && !targetDescriptor.configurable)) {
+                return targetDescriptor;
+            }
+            let x = findChild('describeProp', p);
+            let valueNode = findValueChild(target, p);
+            let value = valueNode !== undefined ? getChildValue(valueNode) : undefined;
+            if (x === undefined) {
+                if (valueNode !== undefined) {
+                    return {value: value, writable: true, enumerable: true, configurable: true};
+                }
+                reportUnexpected('describeProp', p);
+                return targetDescriptor;
+            }
+            let type = getUnionMembers(x.type)[0];
+            if (type === 'undefined') {
+                return undefined;
+            }
+            /* A property missing on the target can only be reported as configurable */
+            if (type.descriptor.accessor) {
+                return {get: () => value, set: undefined, enumerable: type.descriptor.enumerable, configurable: true};
+            }
+            return {value: value, writable: type.descriptor.writable, enumerable: type.descriptor.enumerable, configurable: true};
+        },
+        deleteProperty: function(target, p) {
+            if (isUnmodeledSymbol(p)) {
+                return Reflect.deleteProperty(target, p);
+            }
+            let x = findChild('deleteProp', p);
+            if (x !== undefined) {
+                return getUnionMembers(x.type)[0].value;
+            }
+            reportUnexpected('deleteProp', p);
+            return Reflect.deleteProperty(target, p);
+        },
         apply: function(target, thisArg, argArray) {
             // If the proxy wraps a function, make the function execute normally
             return target.apply(thisArg, argArray);
@@ -127,25 +294,123 @@ function getProxy(node, obj) {
 }
 
 /**
- * Synthesize value for an argument node.
+ * Create an error of the given class, falling back to an `Error` with that name for classes
+ * that are not built in.
+ */
+function createError(name) {
+    let constructor = globalThis[name];
+    if (typeof constructor === 'function' && (constructor === Error || constructor.prototype instanceof Error)) {
+        return new constructor();
+    }
+    let error = new Error();
+    error.name = name;
+    return error;
+}
+
+/**
+ * Get the node whose value flows into the node according to the rho relations, if any.
+ */
+function findRhoRelationSource(node, rhoRelations) {
+    let relation = rhoRelations.find(r => r[1] === node);
+    return relation !== undefined ? relation[0] : undefined;
+}
+
+/**
+ * Traverse the source of a rho relation out of order. Its unprocessed ancestors are traversed
+ * first, so that its value can be obtained.
+ */
+async function traverseSource(node, rhoRelations) {
+    let top = node;
+    while (top.parent.parent !== null && top.parent.parent !== undefined && !top.parent.processed) {
+        top = top.parent;
+    }
+    await traverseTree(top, rhoRelations);
+}
+
+/**
+ * Get the object a function node was read from, the default receiver of its calls.
  */
-function synthesizeValue(node) {
-    if (node.type === 'undefined') {
+function getHolder(node) {
+    let fn = node.parent;
+    if (fn.parent !== null && fn.parent !== undefined && (fn.p.compType === 'accessProp' || fn.p.compType === 'super' || fn.p.compType === 'override')) {
+        return fn.parent.obj;
+    }
+    return undefined;
+}
+
+/**
+ * Check the receiver the library calls a client function with against the recorded one, if any.
+ */
+function checkReceiverType(fnNode, callNode, receiver) {
+    let receiverNode = fnNode.children.find(x => x.p.compType === 'receiver' && x.p.callId === callNode.p.callId);
+    if (receiverNode === undefined) {
+        return;
+    }
+    let type = isCovariant(callNode.ap) ? getArgumentType(receiver) : getType(receiver);
+    if (!checkCompatible(type, receiverNode.type)) {
+        reportBreakingPath('incompatible-type', receiverNode.ap, {expected: receiverNode.type, actual: type});
+    }
+}
+
+/**
+ * Synthesize value for an argument node. For a union type, the first type observed by the
+ * client is synthesized.
+ */
+function synthesizeValue(node, type = getUnionMembers(node.type)[0]) {
+    if (type === 'undefined') {
         return undefined;
     }
-    if (node.type === 'null') {
+    if (type === 'null') {
         return null;
     }
-    if (node.type === 'object' || node.type === 'array' || node.type === 'set' || node.type === 'map' || node.type === 'boolean' || node.type === 'number' || node.type === 'string') {
+    if (type === 'object') {
         return getProxy(node, {});
     }
-    if (node.type === 'function') {
-
+    if (type === 'array') {
+        /* The elements are synthesized when they are read */
+        let array = [];
+        let lengthNode = node.children.find(x => x.p.compType === 'accessProp' && x.p.propName === 'length');
+        if (lengthNode !== undefined && getUnionMembers(lengthNode.type)[0].primType === 'number') {
+            array.length = getUnionMembers(lengthNode.type)[0].value;
+        }
+        return getProxy(node, array);
+    }
+    if (type === 'map' || type === 'set') {
+        /* The entries looked up by the library in the model are added, so that they can also be
+         tested for or iterated over */
+        let collection = type === 'map' ? new Map() : new Set();
+        for (let x of node.children) {
+            if (type === 'map' && x.p.compType === 'mapGet' && getUnionMembers(x.type)[0] !== 'undefined') {
+                if (!x.processed) {
+                    x.obj = synthesizeValue(x);
+                    x.processed = true;
+                }
+                collection.set(deserializeEntryKey(x.p.key), x.obj);
+            } else if (type === 'set' && x.p.compType === 'setHas' && getUnionMembers(x.type)[0].value === true) {
+                collection.add(deserializeEntryKey(x.p.key));
+            }
+        }
+        return getProxy(node, collection);
+    }
+    /* Primitives in covariant positions are recorded without their values */
+    if (type === 'boolean') {
+        return false;
+    }
+    if (type === 'number') {
+        return 0;
+    }
+    if (type === 'string') {
+        return '';
+    }
+    if (type === 'function') {
+        node.synthesized = true;
         return getProxy(node, function() {
+            node.invoked = true;
             for (let x of node.children) {
                 if (x.p.compType === 'call') {
                     if (!x.processed) {
-                        x.obj = synthesizeValue(x);
+                        let source = findRhoRelationSource(x, rhoRelations);
+                        x.obj = source !== undefined && source.processed ? source.obj : synthesizeValue(x);
                         x.processed = true;
                     }
                     let argTypes = {}
@@ -162,57 +427,112 @@ function synthesizeValue(node) {
                     }
 
                     if (checkAllCompatible(realArgumentTypes, argTypes)) {
+                        checkReceiverType(node, x, this);
+                        if (getUnionMembers(x.type)[0] === 'throw') {
+                            throw x.obj;
+                        }
                         return x.obj;
                     }
                     
                 }
             }
-            logger.warn({breakingPath: node.ap.concat([{compType: 'call', callId: null}])})
+            reportBreakingPath('unexpected-call', node.ap.concat([{compType: 'call', callId: null}]), {actual: Array.prototype.map.call(arguments, a => getType(a))});
             return 0;
         });
 
     }
-    if (node.type.primType) {
-        if (node.type.primType === 'number' && node.type.value === 'Infinity') {
+    if (type === 'error') {
+        return getProxy(node, new Error());
+    }
+    if (type.error !== undefined) {
+        /* Properties of thrown errors are not modeled */
+        return createError(type.error);
+    }
+    if (type === 'throw') {
+        /* The value thrown by the client's function */
+        for (let x of node.children) {
+            if (x.p.compType === 'throw') {
+                if (!x.processed) {
+                    x.obj = synthesizeValue(x);
+                    x.processed = true;
+                }
+                return x.obj;
+            }
+        }
+        return new Error();
+    }
+    if (type === 'promise') {
+        /* Settle the synthesized promise the way the client's promise settled */
+        for (let x of node.children) {
+            if (x.p.compType === 'resolve' || x.p.compType === 'reject') {
+                if (!x.processed) {
+                    x.obj = synthesizeValue(x);
+                    x.processed = true;
+                }
+                if (x.p.compType === 'resolve') {
+                    return Promise.resolve(x.obj);
+                }
+                let rejected = Promise.reject(x.obj);
+                /* Avoid an unhandled rejection if the library never observes the promise */
+                rejected.catch(() => {});
+                return rejected;
+            }
+        }
+        return new Promise(() => {});
+    }
+    if (type.primType) {
+        if (type.primType === 'number' && type.value === 'Infinity') {
             return Number.POSITIVE_INFINITY;
         }
-        if (node.type.primType === 'number' && node.type.value === 'NaN') {
+        if (type.primType === 'number' && type.value === 'NaN') {
             return Number.NaN;
         }
-        return node.type.value;
+        return type.value;
     }
 
-    throw new Error('Cannot synthesize the value, type: ' + node.type);
+    throw new Error('Cannot synthesize the value, type: ' + JSON.stringify(type));
 }
 
 /**
- * Check whether the first type is a subtype of the second type
+ * Wait for a promise to settle, giving up after the timeout.
  */
-function checkCompatible(type1, type2) {
-    if (type2 === null) {
-        return true;
-    }
-    if (type2 === 'object') {
-        if (type1 === 'object' || type1 === 'function' || type1 === 'map' || type1 === 'set') {
-            return true;
-        }
-    }
-    if (type2 === type1) {
-        return true;
+function settle(promise, timeout) {
+    if (!isPromise(promise)) {
+        return Promise.resolve({status: 'fulfilled', value: promise});
     }
-    if (deepEqual(type2, type1)) {
-        return true;
-    }
-    return false;
+    return new Promise(resolve => {
+        let timer = setTimeout(() => resolve({status: 'pending'}), timeout);
+        promise.then(value => {
+            clearTimeout(timer);
+            resolve({status: 'fulfilled', value: value});
+        }, reason => {
+            clearTimeout(timer);
+            resolve({status: 'rejected', value: reason});
+        });
+    });
 }
 
-function checkAllCompatible(types1, types2) {
-    for (let i = 0; i < types1.length; i++) {
-        if (!checkCompatible(types1[i], types2[i])) {
-            return false;
-        }
+/**
+ * Handle the rejection of a promise the library gave for a path, so that it does not end the
+ * regression test as an unhandled rejection. When the model recorded how the promise settled,
+ * the `resolve` or `reject` path checks it; otherwise a rejection of a promise is a break.
+ * `repeated` describes a repeated call, for which only a recorded rejection is expected.
+ */
+function observeRejection(node, value, repeated) {
+    if (!isPromise(value)) {
+        return;
     }
-    return true;
+    let outcomes = node.children.filter(x => x.p.compType === 'resolve' || x.p.compType === 'reject').map(x => x.p.compType);
+    value.then(undefined, e => {
+        if (!checkCompatible('promise', node.type) || outcomes.indexOf('reject') >= 0 || (repeated === undefined && outcomes.length > 0)) {
+            return;
+        }
+        reportBreakingPath('promise-outcome', node.ap, {
+            expected: outcomes.length > 0 ? 'resolve' : 'pending',
+            actual: 'reject',
+            reason: repeated !== undefined ? `${e} ${repeated}` : String(e)
+        });
+    });
 }
 
 function findNextNode(currentNode) {
@@ -237,23 +557,153 @@ function findNextNode(currentNode) {
     return minNode;
 }
 
-function traverseTree(node, rhoRelations) {
+/**
+ * Create a subclass of a library class standing for the client class extending it, with the
+ * members the client overrode as synthesized values.
+ */
+function createSubclass(node, base) {
+    let subclass = class extends base {};
+    for (let x of node.children) {
+        if (x.p.compType === 'override') {
+            if (!x.processed) {
+                x.obj = synthesizeValue(x);
+                x.processed = true;
+            }
+            Object.defineProperty(subclass.prototype, getPropertyKey(x.p), {value: x.obj, writable: true, configurable: true});
+        }
+    }
+    return subclass;
+}
+
+/**
+ * Report the client callbacks (including the methods overridden by client subclasses) that the
+ * library called back into when the model was generated, but no longer calls. Callbacks passed
+ * to a call that failed are not reported again.
+ */
+function checkCallbacksInvoked(node) {
+    for (let x of node.children) {
+        if (x.synthesized && typeof x.obj === 'function' && x.invoked !== true && !isCovariant(x.ap)
+            && x.children.some(c => c.p.compType === 'call') && !isPassedToFailedCall(x)) {
+            reportBreakingPath('callback-not-invoked', x.ap, {reason: x.p.compType === 'override' ? 'the library no longer calls the method overridden by the client' : 'the library no longer calls the callback'});
+        }
+        checkCallbacksInvoked(x);
+    }
+}
+
+function isPassedToFailedCall(node) {
+    if (node.p.compType !== 'arg') {
+        return false;
+    }
+    let call = node.parent.children.find(x => (x.p.compType === 'call' || x.p.compType === 'new') && x.p.callId === node.p.callId);
+    return call === undefined || !call.processed || call.failed === true;
+}
+
+/**
+ * Repeat the introspection of a library object done by the client and check its outcome.
+ */
+function checkIntrospection(node, o) {
+    if (node.p.compType === 'hasProp') {
+        let type = getArgumentType(Reflect.has(o, getPropertyKey(node.p)));
+        if (!checkCompatible(type, node.type)) {
+            reportBreakingPath(type.value === false ? 'missing-key' : 'incompatible-type', node.ap, {expected: node.type, actual: type});
+        }
+    } else if (node.p.compType === 'ownKeys') {
+        let type = getKeysType(Reflect.ownKeys(o));
+        if (!checkCompatible(type, node.type)) {
+            let missing = [];
+            for (let t of getUnionMembers(node.type)) {
+                for (let k of t.keys) {
+                    if (!type.keys.some(k1 => deepEqual(k1, k)) && !missing.some(k1 => deepEqual(k1, k))) {
+                        missing.push(k);
+                    }
+                }
+            }
+            reportBreakingPath('missing-key', node.ap, {expected: node.type, actual: type, reason: `missing keys: ${missing.map(k => typeof k === 'string' ? k : k.symbol).join(', ')}`});
+        }
+    } else if (node.p.compType === 'describeProp') {
+        let type = getDescriptorType(Reflect.getOwnPropertyDescriptor(o, getPropertyKey(node.p)));
+        if (!checkCompatible(type, node.type)) {
+            reportBreakingPath(type === 'undefined' ? 'missing-key' : 'changed-descriptor', node.ap, {expected: node.type, actual: type});
+        }
+    } else if (node.p.compType === 'deleteProp') {
+        let type = getArgumentType(Reflect.deleteProperty(o, getPropertyKey(node.p)));
+        if (!checkCompatible(type, node.type)) {
+            reportBreakingPath(type.value === false ? 'changed-descriptor' : 'incompatible-type', node.ap, {expected: node.type, actual: type});
+        }
+    }
+}
+
+/**
+ * The library must accept every type the client passed for an argument, so a call is repeated
+ * with each other member of the union type of a synthesized argument.
+ */
+function checkOtherArgumentTypes(node, argNodes, argArray, invoke) {
+    for (let x of argNodes) {
+        if (!x.synthesized) {
+            continue;
+        }
+        let members = getUnionMembers(x.type);
+        for (let i = 1; i < members.length; i++) {
+            let args = argArray.slice();
+            args[x.p.argId] = synthesizeValue(x, members[i]);
+            try {
+                let result = invoke(args);
+                let type = isCovariant(node.ap) ? getType(result) : getArgumentType(result);
+                if (!checkCompatible(type, node.type)) {
+                    reportBreakingPath('incompatible-return-type', node.ap, {expected: node.type, actual: type, reason: `with ${JSON.stringify(members[i])} as argument ${x.p.argId}`});
+                }
+                observeRejection(node, result, `with ${JSON.stringify(members[i])} as argument ${x.p.argId}`);
+            } catch (e) {
+                if (!checkCompatible('throw', node.type)) {
+                    reportBreakingPath('execution-error', x.ap, {reason: String(e), actual: members[i]});
+                }
+            }
+        }
+    }
+}
+
+async function traverseTree(node, rhoRelations) {
     logger.info('Processing node path: ' + JSON.stringify(node.ap));
+    if (node.parent !== null && node.parent !== undefined && !node.processed) {
+        report.addCheckedPath(node.ap);
+    }
 
     if (node.parent === null || node.parent === undefined) {
         for (let c of node.children) {
-            traverseTree(c, rhoRelations);
+            await traverseTree(c, rhoRelations);
         }
         return;
     }
 
    else if (node.p.compType === 'require') {
         if (!node.processed) {
-            let o = require(node.p.moduleName);
-            if (!checkCompatible(getType(o), node.type)) {
-                logger.warn({breakingPath: node.ap});
+            try {
+                let o = require(resolveLibraryModule(node.p.moduleName, argv.library, REQUIRE_CONDITIONS));
+                if (!checkCompatible(getType(o), node.type)) {
+                    reportBreakingPath('incompatible-type', node.ap, {expected: node.type, actual: getType(o)});
+                }
+                node.obj = o;
+            } catch (e) {
+                reportBreakingPath('module-not-loadable', node.ap, {reason: e.message});
+                node.empty = true;
+            }
+            node.processed = true;
+        }
+    }
+
+    else if (node.p.compType === 'import') {
+        if (!node.processed) {
+            try {
+                let modulePath = resolveLibraryModule(node.p.moduleName, argv.library, IMPORT_CONDITIONS);
+                let o = await import(isAbsolute(modulePath) ? pathToFileURL(modulePath).href : modulePath);
+                if (!checkCompatible(getType(o), node.type)) {
+                    reportBreakingPath('incompatible-type', node.ap, {expected: node.type, actual: getType(o)});
+                }
+                node.obj = o;
+            } catch (e) {
+                reportBreakingPath('module-not-loadable', node.ap, {reason: e.message});
+                node.empty = true;
             }
-            node.obj = o;
             node.processed = true;
         }
     }
@@ -262,15 +712,18 @@ function traverseTree(node, rhoRelations) {
         if (!node.processed) {
             if (!node.parent.empty) {
                 if (node.parent.obj !== undefined) {
-                    let o = node.parent.obj[node.p.propName];
+                    let o = node.parent.obj[getPropertyKey(node.p)];
                     let covariant = isCovariant(node.ap);
                     let type = covariant ? getType(o) : getArgumentType(o);
                     if (covariant && !checkCompatible(type, node.type)) {
-                        logger.warn({breakingPath: node.ap, incompatibleTypes: {actual: type, required: node.type}});
+                        reportBreakingPath(type === 'undefined' ? 'missing-property' : 'incompatible-type', node.ap, {expected: node.type, actual: type});
+                    }
+                    if (covariant) {
+                        observeRejection(node, o);
                     }
                     node.obj = o;
                 } else {
-                    logger.warn({breakingPath: node.ap, reason: "get property of undefined"});
+                    reportBreakingPath('missing-property', node.ap, {reason: 'get property of undefined'});
                     node.empty = true;
                 }
             } else {
@@ -284,9 +737,14 @@ function traverseTree(node, rhoRelations) {
         if (!node.processed) {
             if (!node.parent.empty) {
                 if (node.parent.obj !== undefined) {
-                    node.parent.obj[node.p.propName] = synthesizeValue(node);
+                    /* The client may write a value it obtained from the library */
+                    let source = findRhoRelationSource(node, rhoRelations);
+                    if (source !== undefined && !source.processed) {
+                        await traverseSource(source, rhoRelations);
+                    }
+                    node.parent.obj[getPropertyKey(node.p)] = source !== undefined ? source.obj : synthesizeValue(node);
                 } else {
-                    logger.warn({breakingPath: node.ap, reason: "set property of undefined"});
+                    reportBreakingPath('missing-property', node.ap, {reason: 'set property of undefined'});
                     node.empty = true;
                 }
             } else {
@@ -296,7 +754,75 @@ function traverseTree(node, rhoRelations) {
         }
     }
 
-    else if (node.p.compType === 'arg') {
+    else if (node.p.compType === 'override') {
+        if (!node.processed) {
+            /* Overrides are synthesized with the subclass; the construction must have failed */
+            node.empty = true;
+            node.processed = true;
+        }
+    }
+
+    else if (node.p.compType === 'super') {
+        if (!node.processed) {
+            let base = node.parent.parent !== null && node.parent.parent !== undefined ? node.parent.parent.obj : undefined;
+            if (!node.parent.empty && node.parent.obj !== undefined && typeof base === 'function' && base.prototype !== undefined && base.prototype !== null) {
+                let o = Reflect.get(base.prototype, getPropertyKey(node.p), node.parent.obj);
+                let type = getType(o);
+                if (!checkCompatible(type, node.type)) {
+                    reportBreakingPath(type === 'undefined' ? 'missing-property' : 'incompatible-type', node.ap, {expected: node.type, actual: type});
+                }
+                node.obj = o;
+            } else {
+                node.empty = true;
+            }
+            node.processed = true;
+        }
+    }
+
+    else if (node.p.compType === 'hasProp' || node.p.compType === 'ownKeys' || node.p.compType === 'describeProp' || node.p.compType === 'deleteProp') {
+        if (!node.processed) {
+            let o = node.parent.obj;
+            if (node.parent.empty || o === null || (typeof o !== 'object' && typeof o !== 'function')) {
+                node.empty = true;
+            } else if (isCovariant(node.ap)) {
+                /* Introspection of client values is answered by their proxies */
+                checkIntrospection(node, o);
+            }
+            node.processed = true;
+        }
+    }
+
+    else if (node.p.compType === 'element' || node.p.compType === 'mapGet' || node.p.compType === 'setHas') {
+        if (!node.processed) {
+            let o = node.parent.obj;
+            let method = node.p.compType === 'mapGet' ? 'get' : 'has';
+            if (node.parent.empty || o === null || o === undefined || (node.p.compType !== 'element' && typeof o[method] !== 'function')) {
+                node.empty = true;
+            } else if (node.p.compType === 'setHas') {
+                /* Set members tested by the library are answered by the synthesized Set */
+                if (isCovariant(node.ap)) {
+                    let type = getArgumentType(o.has(deserializeEntryKey(node.p.key)));
+                    if (!checkCompatible(type, node.type)) {
+                        reportBreakingPath(type.value === false ? 'missing-key' : 'incompatible-type', node.ap, {expected: node.type, actual: type});
+                    }
+                }
+            } else {
+                let value = node.p.compType === 'element' ? o[node.p.index] : o.get(deserializeEntryKey(node.p.key));
+                let covariant = isCovariant(node.ap);
+                let type = covariant ? getType(value) : getArgumentType(value);
+                if (covariant && !checkCompatible(type, node.type)) {
+                    reportBreakingPath(type === 'undefined' ? 'missing-property' : 'incompatible-type', node.ap, {expected: node.type, actual: type});
+                }
+                if (covariant) {
+                    observeRejection(node, value);
+                }
+                node.obj = value;
+            }
+            node.processed = true;
+        }
+    }
+
+    else if (node.p.compType === 'arg' || node.p.compType === 'receiver') {
         
         if (!node.processed) {
             let hasRhoRelationInput = false;
@@ -304,7 +830,7 @@ function traverseTree(node, rhoRelations) {
             for (let i = 0; i < rhoRelations.length; i++) {
                 if (rhoRelations[i][1] === node) {
                     if (!rhoRelations[i][0].processed) {
-                        traverseTree(rhoRelations[i][0], rhoRelations);
+                        await traverseSource(rhoRelations[i][0], rhoRelations);
                     }
                     hasRhoRelationInput = true;
                     rhoRelationInput = rhoRelations[i][0].obj;
@@ -315,6 +841,7 @@ function traverseTree(node, rhoRelations) {
                 node.obj = rhoRelationInput;
             } else {
                 node.obj = synthesizeValue(node);
+                node.synthesized = true;
             }
             node.processed = true;
             
@@ -322,33 +849,76 @@ function traverseTree(node, rhoRelations) {
     }
 
     else if (node.p.compType === 'call') {
-        if (!node.processed) {
+        if (!node.processed && !isCovariant(node.ap)) {
+            /* The library calls a function of the client, so the outcome is synthesized, unless
+             the client returns a value it obtained from the library */
+            let source = findRhoRelationSource(node, rhoRelations);
+            if (source !== undefined && !source.processed) {
+                await traverseSource(source, rhoRelations);
+            }
+            node.obj = source !== undefined ? source.obj : synthesizeValue(node);
+            node.processed = true;
+        } else if (!node.processed) {
             let argArray = {};
+            let argNodes = [];
             for (let x of node.parent.children) {
                 if (x.p.compType === 'arg' && x.p.callId === node.p.callId) {
                     if (!x.processed) {
-                        traverseTree(x, rhoRelations);
+                        await traverseTree(x, rhoRelations);
                     }
                     argArray[x.p.argId] = x.obj;
+                    argNodes.push(x);
                 }
             }
             /* Convert the array-like object to a real array */
             argArray.length = Object.keys(argArray).length;
             argArray = Array.prototype.slice.call(argArray);
-            let thisObj = undefined;
-            if (node.parent.parent !== null && node.parent.parent !== undefined && node.parent.p.compType == 'accessProp') {
-                thisObj = node.parent.parent.obj;
+            /* The receiver is recorded when it is not the object the function was read from */
+            let holder = getHolder(node);
+            let thisObj = holder;
+            let receiverNode = node.parent.children.find(x => x.p.compType === 'receiver' && x.p.callId === node.p.callId);
+            if (receiverNode !== undefined) {
+                if (!receiverNode.processed) {
+                    await traverseTree(receiverNode, rhoRelations);
+                }
+                thisObj = receiverNode.obj;
             }
             try {
-                let result = node.parent.obj.apply(thisObj, argArray);
+                let result;
+                try {
+                    result = node.parent.obj.apply(thisObj, argArray);
+                } catch (e) {
+                    /* A break if the function only works when called on its object, unless the
+                     call threw when the model was generated */
+                    if (holder === undefined || holder === thisObj || checkCompatible('throw', node.type)) {
+                        throw e;
+                    }
+                    try {
+                        result = node.parent.obj.apply(holder, argArray);
+                    } catch (_) {
+                        throw e;
+                    }
+                    reportBreakingPath('receiver-dependent', node.ap, {reason: String(e)});
+                    thisObj = holder;
+                }
                 let type = isCovariant(node.ap) ? getType(result) : getArgumentType(result);
                 if (!checkCompatible(type, node.type)) {
-                    logger.warn({breakingPath: node.ap, incompatibleReturnTypes: {actual: type, required: node.type}})
+                    reportBreakingPath(node.type === 'throw' ? 'missing-exception' : 'incompatible-return-type', node.ap, {expected: node.type, actual: type});
                 }
+                observeRejection(node, result);
                 node.obj = result;
                 node.processed = true;
+                checkOtherArgumentTypes(node, argNodes, argArray, args => node.parent.obj.apply(thisObj, args));
             } catch (e) {
-                logger.info('Error in executing the path: ' + JSON.stringify(node.ap));
+                if (checkCompatible('throw', node.type)) {
+                    /* The client relies on the call throwing; the thrown value is checked by the throw path */
+                    node.threw = true;
+                    node.thrown = e;
+                    node.empty = true;
+                } else {
+                    reportBreakingPath('execution-error', node.ap, {reason: String(e)});
+                    node.failed = true;
+                }
                 node.processed = true;
             }
             
@@ -356,45 +926,137 @@ function traverseTree(node, rhoRelations) {
     }
 
     else if (node.p.compType === 'new') {
-        if (!node.processed) {
+        if (!node.processed && !isCovariant(node.ap)) {
+            /* The library calls a function of the client, so the outcome is synthesized */
+            node.obj = synthesizeValue(node);
+            node.processed = true;
+        } else if (!node.processed) {
             let argArray = {};
+            let argNodes = [];
             for (let x of node.parent.children) {
                 if (x.p.compType === 'arg' && x.p.callId === node.p.callId) {
                     if (!x.processed) {
-                        traverseTree(x, rhoRelations);
+                        await traverseTree(x, rhoRelations);
                     }
                     argArray[x.p.argId] = x.obj;
+                    argNodes.push(x);
                 }
             }
             // Convert the array-like object to a real array
             argArray.length = Object.keys(argArray).length;
             argArray = Array.prototype.slice.call(argArray);
             try {
-                let result = Reflect.construct(node.parent.obj, argArray);
+                /* A client class extending the library class is replaced by a synthesized subclass */
+                let newTarget = node.p.subclass ? createSubclass(node, node.parent.obj) : node.parent.obj;
+                let result = Reflect.construct(node.parent.obj, argArray, newTarget);
                 let type = isCovariant(node.ap) ? getType(result) : getArgumentType(result);
                 if (!checkCompatible(type, node.type)) {
-                    logger.warn({breakingPath: node.ap, incompatibleReturnTypes: {actual: type, required: node.type}})
+                    reportBreakingPath(node.type === 'throw' ? 'missing-exception' : 'incompatible-return-type', node.ap, {expected: node.type, actual: type});
                 }
+                observeRejection(node, result);
                 node.obj = result;
                 node.processed = true;
+                checkOtherArgumentTypes(node, argNodes, argArray, args => Reflect.construct(node.parent.obj, args, newTarget));
             } catch (e) {
-                logger.info('Error in executing the path: ' + JSON.stringify(node.ap));
+                if (checkCompatible('throw', node.type)) {
+                    /* The client relies on the call throwing; the thrown value is checked by the throw path */
+                    node.threw = true;
+                    node.thrown = e;
+                    node.empty = true;
+                } else {
+                    reportBreakingPath('execution-error', node.ap, {reason: String(e)});
+                    node.failed = true;
+                }
                 node.processed = true;
             }
             
         }
     }
 
+    else if (node.p.compType === 'throw') {
+        if (!node.processed) {
+            if (node.parent.threw) {
+                let type = getThrownType(node.parent.thrown);
+                if (isCovariant(node.ap) && !checkCompatible(type, node.type)) {
+                    reportBreakingPath('changed-exception', node.ap, {expected: node.type, actual: type});
+                }
+                node.obj = node.parent.thrown;
+            } else if (!isCovariant(node.ap)) {
+                /* The value thrown by a client's function is synthesized */
+                node.obj = synthesizeValue(node);
+            } else {
+                node.empty = true;
+            }
+            node.processed = true;
+        }
+    }
+
+    else if (node.p.compType === 'resolve' || node.p.compType === 'reject') {
+        if (!node.processed) {
+            if (!isCovariant(node.ap)) {
+                /* The promise was created by the client, so the outcome is synthesized */
+                node.obj = synthesizeValue(node);
+            } else if (!node.parent.empty && node.parent.obj !== undefined) {
+                let outcome = await settle(node.parent.obj, argv.timeout);
+                if (outcome.status === 'pending') {
+                    reportBreakingPath('promise-outcome', node.ap, {expected: node.p.compType, actual: 'pending', reason: `promise not settled within ${argv.timeout} ms`});
+                    node.empty = true;
+                } else if ((outcome.status === 'fulfilled') !== (node.p.compType === 'resolve')) {
+                    reportBreakingPath('promise-outcome', node.ap, {expected: node.p.compType, actual: outcome.status === 'fulfilled' ? 'resolve' : 'reject'});
+                    node.empty = true;
+                } else {
+                    let type = getType(outcome.value);
+                    if (!checkCompatible(type, node.type)) {
+                        reportBreakingPath('incompatible-type', node.ap, {expected: node.type, actual: type});
+                    }
+                    node.obj = outcome.value;
+                }
+            } else {
+                node.empty = true;
+            }
+            node.processed = true;
+        }
+    }
+
     while (true) {
         let next = findNextNode(node);
         if (!next) {
             return;
         }
-        traverseTree(next, rhoRelations);
+        await traverseTree(next, rhoRelations);
+    }
+}
+
+let model;
+try {
+    let notes;
+    ({model, notes} = readModel(modelPath));
+    for (let note of notes) {
+        logger.info(note);
     }
+} catch (e) {
+    logger.error(e.message);
+    process.exit(1);
 }
+let [modelTree, rhoRelations, aliases] = constructModelTree(model);
+let report = createReport({
+    library: argv.library || (modelTree.children.length > 0 ? modelTree.children[0].p.moduleName : undefined),
+    model: modelPath
+});
 
-let model = JSON.parse(fs.readFileSync(modelPath, {encoding: 'utf-8'}));
-let [modelTree, rhoRelations] = constructModelTree(model);
+await traverseTree(modelTree, rhoRelations);
+/* Let the library call the synthesized callbacks asynchronously (from timers, I/O or promises)
+ before checking them */
+await new Promise(resolve => {
+    process.once('beforeExit', resolve);
+    setTimeout(resolve, argv.settleTimeout).unref();
+});
+checkCallbacksInvoked(modelTree);
+checkAliases(aliases);
 
-traverseTree(modelTree, rhoRelations);
\ No newline at end of file
+let summary = report.getSummary();
+logger.info(`Checked ${summary.checkedPaths} paths, found ${summary.breakingChanges} breaking paths`);
+if (argv.output) {
+    fs.writeFileSync(argv.output, report.serialize(argv.format));
+    logger.info(`Written to the file ${argv.output}`);
+}
\ No newline at end of file
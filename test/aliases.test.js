@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { formatPath } from '../lib/report.js';
+import { fixture, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('a library object is the same object however the client obtained it', async () => {
+    let result = await generateModel('aliaslib', fixture('alias-client', 'client.js'));
+    /* The client checks the identity of the objects it obtained through the same path, two
+       calls and a call and a property, also as keys of a WeakSet and a WeakMap */
+    assert.strictEqual(result.code, 0, result.stdout);
+    assert.match(result.stdout, /1 of 1 client files ran without failures/);
+    /* The uses are recorded under the path through which the object was last obtained */
+    assert.ok(result.paths.includes("require('aliaslib').getDefaults().sep"));
+    assert.ok(result.paths.includes("require('aliaslib').Builder<new>().add().build()"));
+});
+
+test('the aliases of library objects are recorded and checked', async () => {
+    let result = await generateModel('aliaslib', fixture('alias-client', 'client.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    let aliases = result.model.aliases.map(([source, target]) => `${formatPath(source)} = ${formatPath(target)}`);
+    assert.deepStrictEqual(aliases, [
+        /* Through the property and each of the two calls that returned the object */
+        "require('aliaslib').defaults = require('aliaslib').getDefaults()",
+        "require('aliaslib').defaults = require('aliaslib').getDefaults()",
+        "require('aliaslib').Builder<new>() = require('aliaslib').Builder<new>().add()",
+        "require('aliaslib').Builder<new>().parts = require('aliaslib').Builder<new>().add().parts"
+    ]);
+
+    let report = await runRegression(result.output, fixture('alias-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+
+    report = await runRegression(result.output, fixture('alias-client'), ['--library', fixture('alias-client', 'changed', 'node_modules', 'aliaslib')]);
+    assert.deepStrictEqual(describeBreakingChanges(report), [
+        "broken-alias: require('aliaslib').getDefaults()",
+        "broken-alias: require('aliaslib').getDefaults()",
+        "broken-alias: require('aliaslib').Builder<new>().add()",
+        "broken-alias: require('aliaslib').Builder<new>().add().parts"
+    ]);
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fixture, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('callbacks the library calls from timers, ticks and I/O are recorded and checked', async () => {
+    let result = await generateModel('asynclib', fixture('callback-client', 'client.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    for (let path of ["require('asynclib').later<arg0>()", "require('asynclib').tick<arg0>()", "require('asynclib').read<arg1>()"]) {
+        assert.ok(result.paths.includes(path), path);
+    }
+
+    let report = await runRegression(result.output, fixture('callback-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+
+    report = await runRegression(result.output, fixture('callback-client'), ['--library', fixture('callback-client', 'changed', 'node_modules', 'asynclib')]);
+    assert.deepStrictEqual(describeBreakingChanges(report), [
+        "unexpected-call: require('asynclib').tick<arg0>()",
+        "callback-not-invoked: require('asynclib').later<arg0>"
+    ]);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fixture, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('the elements of arrays and the entries of Maps and Sets are recorded and checked', async () => {
+    let result = await generateModel('userlib', fixture('contents-client', 'client.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    let types = new Map(result.model.paths.map((entry, i) => [result.paths[i], entry.type]));
+    /* The first element is read by index, the second one by iterating over the array */
+    assert.strictEqual(types.get("require('userlib').users()[0].id"), 'string');
+    assert.strictEqual(types.get("require('userlib').users()[1].name"), 'string');
+    assert.strictEqual(types.get("require('userlib').index().get('a').id"), 'string');
+    assert.strictEqual(types.get("require('userlib').index().get('missing')"), 'undefined');
+    assert.deepStrictEqual(types.get("require('userlib').tags().has('y')"), { primType: 'boolean', value: false });
+
+    let report = await runRegression(result.output, fixture('contents-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+
+    report = await runRegression(result.output, fixture('contents-client'), ['--library', fixture('contents-client', 'changed', 'node_modules', 'userlib')]);
+    assert.deepStrictEqual(describeBreakingChanges(report), [
+        "incompatible-type: require('userlib').users()[0]",
+        "missing-property: require('userlib').users()[0].id",
+        "missing-property: require('userlib').users()[0].name",
+        "incompatible-type: require('userlib').users()[1]",
+        "missing-property: require('userlib').users()[1].name",
+        "missing-key: require('userlib').tags().has('x')"
+    ]);
+});
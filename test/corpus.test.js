@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fixture, outputFile, runTool, loadModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('generate-corpus-model runs the client projects of a corpus with their framework', async () => {
+    let output = outputFile('corpus.json');
+    let result = await runTool('generatecorpus.js', ['--library', 'greetlib', '--corpus', fixture('corpus'), '--output', output]);
+    assert.strictEqual(result.code, 0, result.stdout);
+    let index = JSON.parse(readFileSync(output.replace(/\.json$/, '.index.json'), { encoding: 'utf-8' }));
+    assert.deepStrictEqual(index.clients.map(({ name, framework, status, source }) => ({ name, framework, status, source })), [
+        { name: 'missing-app', framework: 'plain', status: 'skipped', source: undefined },
+        { name: 'mocha-app', framework: 'mocha', status: 'ok', source: 0 },
+        { name: 'plain-app', framework: 'plain', status: 'ok', source: 1 }
+    ]);
+    let { model, paths } = loadModel(output);
+    assert.deepStrictEqual(model.sources, ['mocha-app', 'plain-app']);
+    assert.ok(paths.includes("require('greetlib').greet()"));
+    assert.ok(paths.includes("require('greetlib').farewell()"));
+
+    let report = await runRegression(output, fixture('corpus', 'plain-app'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+});
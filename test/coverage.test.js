@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fixture, outputFile, runTool, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+/**
+ * Run the API coverage of a model, loading the library from the fixture unless `--library` is given.
+ */
+async function runCoverage(model, args = []) {
+    let output = outputFile('coverage.json');
+    let result = await runTool('coverage.js', ['--model', model, '--output', output, ...args], fixture('coverage-client'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    return JSON.parse(readFileSync(output, { encoding: 'utf-8' }));
+}
+
+test('the API coverage lists the exports of the library the clients never used', async () => {
+    let result = await generateModel('covlib', fixture('coverage-client', 'client.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    let report = await runRegression(result.output, fixture('coverage-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+
+    let coverage = await runCoverage(result.output);
+    assert.deepStrictEqual(coverage.summary, { exports: 9, touched: 7, functions: 5, called: 3, classes: 1, constructed: 1, missing: 0 });
+    assert.deepStrictEqual(coverage.exports.filter(entry => !entry.touched).map(entry => entry.pathString), [
+        "require('covlib').Parser<new>().reset",
+        "require('covlib').helpers.pad"
+    ]);
+
+    coverage = await runCoverage(result.output, ['--library', fixture('coverage-client', 'changed', 'node_modules', 'covlib')]);
+    assert.deepStrictEqual(coverage.missing.map(entry => entry.pathString), [
+        "require('covlib').format",
+        "require('covlib').helpers.trim"
+    ]);
+});
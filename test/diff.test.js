@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fixture, outputFile, runTool, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('diff-models lists the paths added, removed and changed between two library versions', async () => {
+    let models = [];
+    for (let version of ['v1', 'v2']) {
+        let result = await generateModel('shapelib', fixture('diff-client', version, 'client.js'));
+        assert.strictEqual(result.code, 0, result.stdout);
+        let report = await runRegression(result.output, fixture('diff-client', version));
+        assert.deepStrictEqual(describeBreakingChanges(report), []);
+        models.push(result.output);
+    }
+
+    let output = outputFile('diff.json');
+    let result = await runTool('diffmodels.js', ['--old', models[0], '--new', models[1], '--output', output]);
+    assert.strictEqual(result.code, 0, result.stdout);
+    let diff = JSON.parse(readFileSync(output, { encoding: 'utf-8' }));
+    assert.deepStrictEqual(diff.summary, { added: 2, removed: 2, changed: 2, incompatible: 2 });
+    assert.deepStrictEqual(diff.added.map(entry => `${entry.variance} ${entry.pathString}`), [
+        "contravariant require('shapelib').describe<arg0>.area",
+        "covariant require('shapelib').square().perimeter"
+    ]);
+    assert.deepStrictEqual(diff.removed.map(entry => `${entry.variance} ${entry.pathString}`), [
+        "covariant require('shapelib').square().side",
+        "contravariant require('shapelib').describe<arg0>.side"
+    ]);
+    let area = diff.changed.find(entry => entry.pathString === "require('shapelib').square().area");
+    assert.deepStrictEqual([area.oldType, area.newType, area.compatible], ['number', 'string', false]);
+});
+
+test('diff-models fails on a file that is not a model', async () => {
+    let result = await runTool('diffmodels.js', ['--old', fixture('diff-client', 'v1', 'client.js'), '--new', fixture('diff-client', 'v2', 'client.js')]);
+    assert.strictEqual(result.code, 1);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fixture, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('the imports of ES module clients from an ESM-only library are recorded and checked', async () => {
+    let result = await generateModel('esmlib', fixture('esm-client', 'client.mjs'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    for (let path of ["import('esmlib').default()", "import('esmlib').add()", "import('esmlib/format').upper()", "import('esmlib').version"]) {
+        assert.ok(result.paths.includes(path), path);
+    }
+
+    let report = await runRegression(result.output, fixture('esm-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+
+    report = await runRegression(result.output, fixture('esm-client'), ['--library', fixture('esm-client', 'changed', 'node_modules', 'esmlib')]);
+    assert.deepStrictEqual(describeBreakingChanges(report), [
+        "missing-property: import('esmlib').add",
+        "execution-error: import('esmlib').add()"
+    ]);
+});
+
+test('the relative imports of a client file and of its modules are resolved from their own directory', async () => {
+    /* The test files are in `test`, and require and import the modules of the client in `src` */
+    let result = await generateModel('nestlib', fixture('nested-client'), ['--jest']);
+    assert.strictEqual(result.code, 0, result.stdout);
+    assert.match(result.stdout, /2 of 2 client files ran without failures/);
+    assert.doesNotMatch(result.stdout, /Test failed/);
+    /* The library is also instrumented in the modules of the client that the test files require */
+    assert.ok(result.paths.includes("require('nestlib').greet()"));
+    assert.ok(result.paths.includes("import('nestlib').greet()"));
+
+    let report = await runRegression(result.output, fixture('nested-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+
+    report = await runRegression(result.output, fixture('nested-client'), ['--library', fixture('nested-client', 'changed', 'node_modules', 'nestlib')]);
+    assert.deepStrictEqual(describeBreakingChanges(report), [
+        "incompatible-return-type: require('nestlib').greet()",
+        "incompatible-return-type: import('nestlib').greet()"
+    ]);
+});
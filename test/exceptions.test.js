@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fixture, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('exceptions thrown by the library and by client callbacks are recorded and checked', async () => {
+    let result = await generateModel('throwlib', fixture('throw-client', 'client.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    let types = new Map(result.model.paths.map((entry, i) => [result.paths[i], entry.type]));
+    assert.strictEqual(types.get("require('throwlib').check()"), 'throw');
+    assert.deepStrictEqual(types.get("require('throwlib').check()<throw>"), { error: 'ValidationError' });
+    assert.deepStrictEqual(types.get("require('throwlib').parse()<throw>"), { error: 'TypeError' });
+    assert.deepStrictEqual(types.get("require('throwlib').each<arg0>()<throw>"), { error: 'TypeError' });
+    assert.strictEqual(types.get("require('throwlib').each()"), 'string');
+
+    let report = await runRegression(result.output, fixture('throw-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+
+    report = await runRegression(result.output, fixture('throw-client'), ['--library', fixture('throw-client', 'changed', 'node_modules', 'throwlib')]);
+    assert.deepStrictEqual(describeBreakingChanges(report), [
+        "missing-exception: require('throwlib').check()",
+        "changed-exception: require('throwlib').parse()<throw>",
+        "execution-error: require('throwlib').ok()"
+    ]);
+});
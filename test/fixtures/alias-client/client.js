@@ -0,0 +1,20 @@
+const aliaslib = require('aliaslib');
+
+function check(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+check(aliaslib.defaults === aliaslib.defaults, 'the same path gives another object');
+check(require('aliaslib') === aliaslib, 'the module is another object');
+check(aliaslib.getDefaults() === aliaslib.getDefaults(), 'two calls give other objects');
+check(aliaslib.getDefaults() === aliaslib.defaults, 'a call and a property give other objects');
+const seen = new WeakSet([aliaslib.defaults]);
+check(seen.has(aliaslib.getDefaults()), 'the object is not in the WeakSet');
+const labels = new WeakMap([[aliaslib.getDefaults(), 'defaults']]);
+check(labels.get(aliaslib.defaults) === 'defaults', 'the object is not a key of the WeakMap');
+check(aliaslib.getDefaults().sep === '&', 'the separator changed');
+const builder = new aliaslib.Builder();
+check(builder.add('x') === builder, 'add does not return the builder');
+check(builder.build() === 'x', 'the builder lost the part');
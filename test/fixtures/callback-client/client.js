@@ -0,0 +1,5 @@
+const asynclib = require('asynclib');
+
+asynclib.later((err, value) => value + 1);
+asynclib.tick(n => n);
+asynclib.read('package.json', length => length > 0);
@@ -0,0 +1,11 @@
+const userlib = require('userlib');
+
+const users = userlib.users();
+console.log(users[0].id, users.length);
+for (const user of users) {
+    console.log(user.name);
+}
+const index = userlib.index();
+console.log(index.get('a').id, index.get('missing'), index.size);
+const tags = userlib.tags();
+console.log(tags.has('x'), tags.has('y'));
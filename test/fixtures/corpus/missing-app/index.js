@@ -0,0 +1,3 @@
+const greetlib = require('greetlib');
+
+console.log(greetlib.greet('missing'));
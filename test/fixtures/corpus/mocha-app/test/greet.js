@@ -0,0 +1,7 @@
+const greetlib = require('greetlib');
+
+describe('greetlib', function () {
+    it('greets', function () {
+        assert.strictEqual(greetlib.greet('mocha'), 'hello mocha');
+    });
+});
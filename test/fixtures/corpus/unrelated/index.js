@@ -0,0 +1 @@
+console.log('not a client of greetlib');
@@ -0,0 +1,4 @@
+const covlib = require('covlib');
+
+const parser = new covlib.Parser({});
+console.log(covlib.format(parser.parse('a b')), covlib.helpers.trim(' c '), covlib.version);
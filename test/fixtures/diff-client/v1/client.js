@@ -0,0 +1,7 @@
+const shapelib = require('shapelib');
+
+const square = shapelib.square(3);
+console.log(square.area, shapelib.describe(square));
+if ('perimeter' in square) {
+    console.log(square.perimeter);
+}
@@ -0,0 +1,8 @@
+import greet, { add } from 'esmlib';
+import { upper } from 'esmlib/format';
+
+console.log(greet('esm'), add(1, 2), upper('x'));
+
+import('esmlib').then(esmlib => {
+    console.log(esmlib.version);
+});
@@ -0,0 +1,6 @@
+const flowlib = require('flowlib');
+
+const config = flowlib.createConfig();
+flowlib.app.config = config;
+console.log(flowlib.app.start());
+console.log(flowlib.run(() => config));
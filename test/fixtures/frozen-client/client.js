@@ -0,0 +1,18 @@
+const frozenlib = require('frozenlib');
+
+function check(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const max = frozenlib.constants.limits.max;
+const depth = frozenlib.config.depth;
+const name = frozenlib.constants.names[1];
+const x = frozenlib.make().inner.x;
+check(Object.isFrozen(frozenlib) && Object.isFrozen(frozenlib.constants), 'the exports are no longer frozen');
+const descriptor = Object.getOwnPropertyDescriptor(frozenlib, 'config');
+check(!descriptor.configurable && !descriptor.writable, 'the descriptor of config changed');
+Object.keys(frozenlib.constants.limits);
+const thing = new frozenlib.Thing();
+check(thing instanceof frozenlib.Thing && Object.getPrototypeOf(thing) === frozenlib.Thing.prototype, 'the prototype of the instance changed');
@@ -0,0 +1,8 @@
+import * as frozenlib from 'frozenlib';
+
+Object.getOwnPropertyDescriptor(frozenlib, 'default');
+Object.keys(frozenlib);
+if (Object.isExtensible(frozenlib)) {
+    throw new Error('the namespace is extensible');
+}
+frozenlib.default.constants.limits.max;
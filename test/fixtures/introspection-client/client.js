@@ -0,0 +1,6 @@
+const keylib = require('keylib');
+
+console.log(Object.keys(keylib.config));
+console.log('b' in keylib.config, keylib.config.hasOwnProperty('c'));
+delete keylib.config.c;
+console.log(keylib.inspect({ x: 1, z: 2 }));
@@ -0,0 +1,4 @@
+const keylib = require('keylib');
+
+const config = keylib.config;
+console.log(config.a, keylib.inspect(config));
@@ -0,0 +1,3 @@
+const qs = require('qs');
+
+console.log(qs.parse('a=1'));
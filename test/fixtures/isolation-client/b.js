@@ -0,0 +1,5 @@
+const qs = require('qs');
+
+console.log(qs.stringify({ b: 2 }));
+while (true) {
+}
@@ -0,0 +1,4 @@
+const qs = require('qs');
+
+console.log(qs.parse('c=3', { depth: 1 }));
+throw new Error('the client failed');
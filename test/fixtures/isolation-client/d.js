@@ -0,0 +1,7 @@
+const qs = require('qs');
+
+console.log(qs.parse('d=4'));
+const objects = [];
+while (true) {
+    objects.push({ values: new Array(1000).fill(4) });
+}
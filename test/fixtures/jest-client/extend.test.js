@@ -0,0 +1,13 @@
+const qs = require('qs');
+expect.extend({
+    toBeParsed(received) {
+        const pass = typeof received === 'object';
+        return { pass, message: () => `isNot=${this.isNot}` };
+    }
+});
+test('extend', () => {
+    expect(qs.parse('a=1')).toBeParsed();
+    let msg;
+    try { expect(qs.parse('a=1')).not.toBeParsed(); } catch (e) { msg = e.message; }
+    if (!/isNot=true/.test(msg)) throw new Error('isNot wrong: ' + msg);
+});
@@ -0,0 +1,4 @@
+const qs = require('qs');
+test('no leak', () => {
+    if (typeof expect(qs.parse('a=1')).toBeParsed === 'function') throw new Error('leaked');
+});
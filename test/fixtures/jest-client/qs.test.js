@@ -0,0 +1,29 @@
+const qs = require('qs');
+jest.mock('./nothing', () => ({ x: 1 }));
+const helper = require('./nothing');
+
+describe('qs', () => {
+    let parsed;
+    beforeEach(() => { parsed = qs.parse('a=1&b=2'); });
+    test('parse', () => {
+        expect(parsed).toEqual({ a: '1', b: '2' });
+        expect(parsed.a).toBe('1');
+        expect(helper.x).toBe(1);
+    });
+    test.each([['a=1', { a: '1' }], ['c=3', { c: '3' }]])('parse %s', (input, out) => {
+        expect(qs.parse(input)).toMatchObject(out);
+    });
+    it('async', async () => {
+        await new Promise(r => setTimeout(r, 10));
+        expect(qs.stringify({ z: 1 })).toMatch(/z=1/);
+    });
+    it('done', (done) => { setTimeout(() => { qs.parse('late=1'); done(); }, 5); });
+    it('mock fn', () => {
+        const f = jest.fn().mockReturnValue(3);
+        expect(f(1)).toBe(3);
+        expect(f).toHaveBeenCalledWith(1);
+        expect(() => { throw new TypeError('bad'); }).toThrow(TypeError);
+    });
+    it('fails', () => { expect(1).not.toBe(1); });
+    it.skip('skipped', () => {});
+});
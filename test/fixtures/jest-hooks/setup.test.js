@@ -0,0 +1,13 @@
+const qs = require('qs');
+
+describe('a suite whose setup fails', () => {
+    beforeAll(() => {
+        throw new Error('no connection');
+    });
+    afterAll(() => {
+        qs.stringify({ closed: true });
+    });
+    test('is not run', () => {
+        qs.parse('a=1');
+    });
+});
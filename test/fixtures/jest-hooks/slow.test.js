@@ -0,0 +1,6 @@
+const qs = require('qs');
+
+test('takes 100 ms', async () => {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    qs.parse('slow=1');
+});
@@ -0,0 +1,14 @@
+const qs = require('qs');
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+jest.setTimeout(20);
+
+test('uses the default timeout', async () => {
+    await wait(100);
+    qs.parse('default=1');
+});
+
+test('has no timeout', async () => {
+    await wait(100);
+    qs.parse('none=1');
+}, 0);
@@ -0,0 +1,7 @@
+const qs = require('qs');
+describe('a', function () {
+    it('schedules', function () {
+        qs.parse('a=1');
+        setTimeout(() => { qs.stringify({ late: 1 }); qs.parse('late=1'); }, 30);
+    });
+});
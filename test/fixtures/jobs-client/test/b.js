@@ -0,0 +1,7 @@
+const qs = require('qs');
+describe('b', function () {
+    it('waits', function (done) {
+        qs.parse('b=2');
+        setTimeout(() => { qs.stringify({ b: 1 }); done(); }, 80);
+    });
+});
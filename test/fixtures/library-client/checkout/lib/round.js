@@ -0,0 +1,3 @@
+module.exports = function round(x) {
+    return Math.round(x).toFixed(0);
+};
@@ -0,0 +1,4 @@
+const mathlib = require('mathlib');
+const round = require('mathlib/lib/round');
+
+console.log(mathlib.double(2), round(1.5));
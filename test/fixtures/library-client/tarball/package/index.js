@@ -0,0 +1,3 @@
+exports.double = function (x) {
+    return 2 * x;
+};
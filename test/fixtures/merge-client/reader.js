@@ -0,0 +1,4 @@
+const kvlib = require('kvlib');
+
+const store = kvlib.createStore();
+console.log(store.get('missing'));
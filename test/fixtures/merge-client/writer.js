@@ -0,0 +1,5 @@
+const kvlib = require('kvlib');
+
+const store = kvlib.createStore();
+store.set('a', 1);
+console.log(store.get('a'));
@@ -0,0 +1,10 @@
+const qs = require('qs');
+let cleaned = false;
+describe('suite', function () {
+    before(function () { throw new Error('setup failed'); });
+    after(function () { cleaned = true; qs.stringify({ done: 1 }); });
+    it('never runs', function () {});
+});
+describe('check', function () {
+    it('cleaned up', function () { if (!cleaned) throw new Error('after hook not run'); });
+});
@@ -0,0 +1,19 @@
+const qs = require('qs');
+const order = [];
+before(() => order.push('root before'));
+describe('qs', function () {
+    this.timeout(500);
+    before(function () { order.push('before'); this.shared = qs.parse('s=1'); });
+    beforeEach(function () { order.push('beforeEach'); });
+    afterEach(() => order.push('afterEach'));
+    after(() => { order.push('after'); console.log(order.join(',')); });
+    it('uses shared', function () { assert.strictEqual(this.shared.s, '1'); });
+    it('awaits', async function () {
+        await new Promise(r => setTimeout(r, 20));
+        expect(qs.parse('late=2').late).to.be('2');
+    });
+    it('done', function (done) { setTimeout(() => { qs.stringify({ d: 1 }); done(); }, 10); });
+    it('times out', function (done) { this.timeout(50); });
+    it('skips', function () { this.skip(); });
+    describe('nested', () => { it('inner', () => qs.parse('n=1')); });
+});
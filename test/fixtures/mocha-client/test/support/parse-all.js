@@ -0,0 +1,4 @@
+/* A helper of the test files, which Mocha does not run as a test file */
+module.exports = function parseAll(qs, queries) {
+    return queries.map(query => qs.parse(query));
+};
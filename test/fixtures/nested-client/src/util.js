@@ -0,0 +1,6 @@
+const nestlib = require('nestlib');
+const { capitalize } = require('./text');
+
+module.exports = {
+    shout: name => nestlib.greet(capitalize(name)).toUpperCase()
+};
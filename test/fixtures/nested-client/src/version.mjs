@@ -0,0 +1,3 @@
+import { VERSION } from 'nestlib';
+
+export const major = Number(VERSION.split('.')[0]);
@@ -0,0 +1,5 @@
+const util = require('../src/util');
+
+test('shouts a greeting', () => {
+    expect(util.shout('ada')).toBe('HELLO ADA');
+});
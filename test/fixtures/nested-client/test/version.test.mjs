@@ -0,0 +1,6 @@
+import { greet } from 'nestlib';
+import { major } from '../src/version.mjs';
+
+test('greets with the major version', () => {
+    expect(greet(String(major))).toBe('hello 1');
+});
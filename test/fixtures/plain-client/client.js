@@ -0,0 +1,7 @@
+const qs = require('qs');
+
+/* A plain client file has the globals of Node.js */
+setTimeout(() => {
+    console.log(qs.parse(Buffer.from('later=1').toString()));
+}, 10);
+console.log(qs.stringify({ node: process.version.startsWith('v') }));
@@ -0,0 +1,23 @@
+const promiselib = require('promiselib');
+
+(async () => {
+    const user = await promiselib.fetchUser(1);
+    console.log(user.name);
+    try {
+        await promiselib.check(-1);
+    } catch (e) {
+        console.log(e.message);
+    }
+    console.log(await promiselib.delay(5));
+
+    /* The members added to a promise and its identity are kept */
+    if (promiselib.ready !== promiselib.ready) {
+        throw new Error('ready is not the same promise');
+    }
+    console.log(await promiselib.ready);
+    console.log(promiselib.start(10000).cancel());
+    console.log(await promiselib.start(5));
+
+    /* Never settles here, but rejects in the changed library */
+    promiselib.pending();
+})();
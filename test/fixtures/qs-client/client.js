@@ -0,0 +1,4 @@
+const qs = require('qs');
+
+const parsed = qs.parse('a[]=3&b=4&c=5');
+console.log(qs.stringify(parsed));
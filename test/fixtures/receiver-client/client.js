@@ -0,0 +1,18 @@
+const recvlib = require('recvlib');
+
+const format = recvlib.format;
+console.log(format(1));
+/* Only works on its object, which the model records */
+const getName = recvlib.getName;
+try {
+    getName();
+} catch (e) {
+    console.log(e.name);
+}
+console.log(recvlib.getName());
+console.log(recvlib.describe.call({ name: 'mine' }));
+recvlib.each([1], function (item) {
+    /* The library calls the callback on an object of its own */
+    return typeof this === 'object' ? item : 0;
+});
+console.log(recvlib.counter.inc());
@@ -0,0 +1,4 @@
+const csvlib = require('csvlib');
+
+const fields = csvlib.split('a,b');
+console.log(fields.length, csvlib.join(['c', 'd']));
@@ -0,0 +1,18 @@
+const { Base } = require('baselib');
+
+class Doubler extends Base {
+    transform(x) {
+        return this.helper(x) * 2;
+    }
+
+    helper(x) {
+        return x;
+    }
+
+    describe() {
+        return 'doubler/' + super.describe();
+    }
+}
+
+const doubler = new Doubler('d');
+console.log(doubler.run(3), doubler.describe());
@@ -0,0 +1,10 @@
+const iterlib = require('iterlib');
+
+const list = iterlib.list(1, 2);
+for (const item of list) {
+    console.log(item);
+}
+console.log(`${list}`, list[Symbol.for('iterlib.tag')]);
+/* A symbol unique to this execution is not modeled */
+console.log(list[Symbol('local')]);
+console.log([...iterlib.numbers]);
@@ -0,0 +1,16 @@
+const throwlib = require('throwlib');
+
+try {
+    throwlib.check('a');
+} catch (e) {
+    console.log(e.message);
+}
+try {
+    throwlib.parse('');
+} catch (e) {
+    console.log(e.message);
+}
+console.log(throwlib.ok());
+console.log(throwlib.each(() => {
+    throw new TypeError('from the callback');
+}));
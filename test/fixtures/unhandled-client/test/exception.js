@@ -0,0 +1,5 @@
+const loadlib = require('loadlib');
+
+setTimeout(() => {
+    throw new RangeError('unsupported version ' + loadlib.version);
+}, 10);
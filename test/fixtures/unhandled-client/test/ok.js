@@ -0,0 +1,3 @@
+const loadlib = require('loadlib');
+
+console.log(loadlib.version);
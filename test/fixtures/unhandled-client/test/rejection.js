@@ -0,0 +1,4 @@
+const loadlib = require('loadlib');
+
+/* Neither awaited nor handled */
+loadlib.load('config');
@@ -0,0 +1,3 @@
+const unionlib = require('unionlib');
+
+unionlib.each(['a', 1], value => console.log(value));
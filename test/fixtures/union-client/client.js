@@ -0,0 +1,6 @@
+const unionlib = require('unionlib');
+
+console.log(unionlib.current.name);
+unionlib.reset();
+console.log(unionlib.current);
+unionlib.measure('abc').then(length => console.log(length));
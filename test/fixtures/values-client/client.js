@@ -0,0 +1,7 @@
+const coll = require('coll');
+
+console.log(coll.sum([1, 2]));
+console.log(coll.first([5, 6]));
+console.log(coll.lookup(new Map([['a', 1]]), 'a'));
+console.log(coll.count(new Set([1, 2, 3])));
+console.log(coll.spread([1, 2, 3]));
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fixture, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('the paths under frozen objects, read-only properties and module namespaces are recorded and checked', async () => {
+    let result = await generateModel('frozenlib', fixture('frozen-client'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    /* No client file aborts on a violated proxy invariant */
+    assert.match(result.stdout, /2 of 2 client files ran without failures/);
+    for (let path of ["require('frozenlib').constants.limits.max", "require('frozenlib').config.depth", "require('frozenlib').make().inner.x", "import('frozenlib').default.constants.limits.max"]) {
+        assert.ok(result.paths.includes(path), path);
+    }
+
+    let report = await runRegression(result.output, fixture('frozen-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+
+    report = await runRegression(result.output, fixture('frozen-client'), ['--library', fixture('frozen-client', 'changed', 'node_modules', 'frozenlib')]);
+    assert.deepStrictEqual(describeBreakingChanges(report), [
+        "incompatible-type: require('frozenlib').constants.limits.max",
+        "missing-property: require('frozenlib').config.depth",
+        "incompatible-type: import('frozenlib').default.constants.limits.max"
+    ]);
+});
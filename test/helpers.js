@@ -0,0 +1,84 @@
+import { execFile } from 'node:child_process';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { readModel } from '../lib/model.js';
+import { formatPath } from '../lib/report.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const FIXTURES = join(ROOT, 'test', 'fixtures');
+/* Each command may run several client processes one after the other */
+const COMMAND_TIMEOUT = 120000;
+
+let outputDir;
+
+/**
+ * Path of a fixture, i.e. a client or a library under `test/fixtures`.
+ */
+function fixture(...names) {
+    return join(FIXTURES, ...names);
+}
+
+/**
+ * Path of a new file in the temporary directory of the test file, removed when it ends.
+ */
+function outputFile(name) {
+    if (outputDir === undefined) {
+        outputDir = mkdtempSync(join(tmpdir(), 'noregrets-test-'));
+        process.on('exit', () => rmSync(outputDir, { recursive: true, force: true }));
+    }
+    return join(outputDir, `${Math.random().toString(36).slice(2)}-${name}`);
+}
+
+/**
+ * Run a command of the tool. The result gives the exit code (`null` when the command timed
+ * out) and the output, also when the command failed.
+ */
+function runTool(script, args, cwd = ROOT) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [join(ROOT, script), ...args], { cwd: cwd, timeout: COMMAND_TIMEOUT, maxBuffer: 256 * 1024 * 1024 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout: stdout, stderr: stderr });
+        });
+    });
+}
+
+/**
+ * Generate the model of a library for a client file or directory. The result also gives the
+ * path of the model, the model itself and its formatted paths, if a model was written.
+ */
+async function generateModel(library, client, args = []) {
+    let output = outputFile('model.json');
+    let result = await runTool('generatemodel.js', ['--library', library, '--client', client, '--output', output, ...args]);
+    return Object.assign(result, existsSync(output) ? loadModel(output) : {});
+}
+
+/**
+ * Read a model written by a command, with its formatted paths.
+ */
+function loadModel(file) {
+    let { model } = readModel(file);
+    return { output: file, model: model, paths: model.paths.map(({ path }) => formatPath(path)) };
+}
+
+/**
+ * Run the type regression test of a model, loading the library from the working directory
+ * unless `--library` is given. Resolves with the JSON report.
+ */
+async function runRegression(model, cwd, args = []) {
+    let output = outputFile('report.json');
+    let result = await runTool('regression.js', ['--model', model, '--output', output, ...args], cwd);
+    if (!existsSync(output)) {
+        throw new Error(`regression.js exited with ${result.code}:\n${result.stdout}${result.stderr}`);
+    }
+    return JSON.parse(readFileSync(output, { encoding: 'utf-8' }));
+}
+
+/**
+ * Describe the breaking changes of a report, for the messages of failed assertions.
+ */
+function describeBreakingChanges(report) {
+    return report.breakingChanges.map(change => `${change.kind}: ${change.pathString}`);
+}
+
+export { fixture, outputFile, runTool, generateModel, loadModel, runRegression, describeBreakingChanges };
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fixture, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('in, own keys, delete and descriptors of library objects are recorded and checked', async () => {
+    let result = await generateModel('keylib', fixture('introspection-client', 'client.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    let types = new Map(result.model.paths.map((entry, i) => [result.paths[i], entry.type]));
+    assert.deepStrictEqual(types.get("require('keylib').config<ownKeys>"), { keys: ['a', 'b', 'c'] });
+    assert.deepStrictEqual(types.get("require('keylib').config<has .b>"), { primType: 'boolean', value: true });
+    assert.deepStrictEqual(types.get("require('keylib').config<descriptor .c>"), { descriptor: { accessor: false, enumerable: true, configurable: true, writable: true } });
+    assert.deepStrictEqual(types.get("require('keylib').config<delete .c>"), { primType: 'boolean', value: true });
+    assert.deepStrictEqual(types.get("require('keylib').inspect<arg0><has .x>"), { primType: 'boolean', value: true });
+
+    let report = await runRegression(result.output, fixture('introspection-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+
+    report = await runRegression(result.output, fixture('introspection-client'), ['--library', fixture('introspection-client', 'changed', 'node_modules', 'keylib')]);
+    assert.deepStrictEqual(describeBreakingChanges(report), [
+        "missing-key: require('keylib').config<ownKeys>",
+        "missing-key: require('keylib').config<descriptor .a>",
+        "changed-descriptor: require('keylib').config<descriptor .b>"
+    ]);
+});
+
+test('the proxy of a library object passed back to the library does not introspect it', async () => {
+    let result = await generateModel('keylib', fixture('introspection-client', 'passback.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    /* The uses of the library go through the proxy of `config` too */
+    for (let path of ["require('keylib').inspect<arg0><has .x>", "require('keylib').config<has .x>"]) {
+        assert.ok(result.paths.includes(path), path);
+    }
+    /* The proxy of the argument checks its invariants against the object, not through the proxy of `config` */
+    assert.ok(!result.paths.some(path => path.endsWith('<descriptor .x>')));
+
+    let report = await runRegression(result.output, fixture('introspection-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+});
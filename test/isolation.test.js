@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fixture, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('the paths of client files that time out, fail or run out of memory are kept', async () => {
+    /* With 3 jobs on a slow machine, only the infinite loop reaches the time limit */
+    let result = await generateModel('qs', fixture('isolation-client'), ['--jobs', '3', '--file-timeout', '3000', '--max-memory', '64']);
+    assert.strictEqual(result.code, 0, result.stdout);
+    assert.match(result.stdout, /isolation-client\/b\.js failed \(timeout\): not completed within 3000 ms/);
+    assert.match(result.stdout, /isolation-client\/c\.js failed \(error\): Error: the client failed/);
+    assert.match(result.stdout, /isolation-client\/d\.js failed \(out-of-memory\): the heap limit of 64 MB was reached/);
+    assert.match(result.stdout, /1 of 4 client files ran without failures/);
+    let values = result.model.paths.filter((entry, i) => result.paths[i] === "require('qs').parse<arg0>").map(entry => entry.type.value);
+    assert.deepStrictEqual(values, ['a=1', 'c=3', 'd=4']);
+    /* Recorded before the infinite loop */
+    assert.ok(result.paths.includes("require('qs').stringify()"));
+
+    let report = await runRegression(result.output, fixture('isolation-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+});
+
+test('the errors that a client file leaves unhandled fail the file, with or without isolation', async () => {
+    for (let args of [[], ['--no-isolate']]) {
+        let result = await generateModel('loadlib', fixture('unhandled-client', 'test'), args);
+        assert.strictEqual(result.code, 0, result.stdout);
+        assert.match(result.stdout, /unhandled-client\/test\/rejection\.js failed \(error\): Unhandled rejection: TypeError: config not found/);
+        assert.match(result.stdout, /unhandled-client\/test\/exception\.js failed \(error\): Uncaught exception: RangeError: unsupported version 1\.0\.0/);
+        assert.match(result.stdout, /1 of 3 client files ran without failures/);
+        assert.ok(result.paths.includes("require('loadlib').load()<reject>"));
+    }
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fixture, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('--jest runs the tests of each test file and records their paths', async () => {
+    let result = await generateModel('qs', fixture('jest-client'), ['--jest']);
+    assert.strictEqual(result.code, 0, result.stdout);
+    assert.match(result.stdout, /Tests finished: 6 passed, 1 failed, 1 skipped/);
+    assert.ok(result.paths.includes("require('qs').parse()"));
+    assert.ok(result.paths.includes("require('qs').stringify()"));
+
+    let report = await runRegression(result.output, fixture('jest-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+});
+
+test('--jest keeps the matchers added with expect.extend to their test file', async () => {
+    let result = await generateModel('qs', fixture('jest-client'), ['--jest']);
+    assert.strictEqual(result.code, 0, result.stdout);
+    assert.doesNotMatch(result.stdout, /Test failed: (extend|no leak)/);
+    assert.match(result.stdout, /Tests finished: 1 passed, 0 failed, 0 skipped/);
+});
+
+test('--jest runs the afterAll hooks of a suite whose beforeAll hook failed', async () => {
+    let result = await generateModel('qs', fixture('jest-hooks', 'setup.test.js'), ['--jest']);
+    assert.strictEqual(result.code, 0, result.stdout);
+    assert.match(result.stdout, /Hook beforeAll failed in "a suite whose setup fails": Error: no connection/);
+    assert.ok(result.paths.includes("require('qs').stringify<arg0>.closed"));
+    assert.ok(!result.paths.includes("require('qs').parse()"));
+});
+
+test('--jest times out a test after the default timeout, unless its own timeout is 0', async () => {
+    /* The test file sets the default timeout to 20 ms */
+    let result = await generateModel('qs', fixture('jest-hooks', 'timeout.test.js'), ['--jest']);
+    assert.strictEqual(result.code, 0, result.stdout);
+    assert.match(result.stdout, /Test failed: uses the default timeout: Error: Exceeded timeout of 20 ms/);
+    assert.doesNotMatch(result.stdout, /Test failed: has no timeout/);
+    assert.match(result.stdout, /Tests finished: 1 passed, 1 failed, 0 skipped/);
+});
+
+test('--jest times out the tests after --timeout milliseconds, unless it is 0', async () => {
+    let result = await generateModel('qs', fixture('jest-hooks', 'slow.test.js'), ['--jest', '--timeout', '20']);
+    assert.strictEqual(result.code, 0, result.stdout);
+    assert.match(result.stdout, /Test failed: takes 100 ms: Error: Exceeded timeout of 20 ms/);
+
+    result = await generateModel('qs', fixture('jest-hooks', 'slow.test.js'), ['--jest', '--timeout', '0']);
+    assert.strictEqual(result.code, 0, result.stdout);
+    assert.match(result.stdout, /Tests finished: 1 passed, 0 failed, 0 skipped/);
+});
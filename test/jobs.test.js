@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fixture, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('running the client files in parallel or in one process gives the same model', async () => {
+    /* The timer of the first file fires while the second one runs when they share a process */
+    let models = [];
+    for (let args of [['--jobs', '1'], ['--jobs', '3'], ['--no-isolate']]) {
+        let result = await generateModel('qs', fixture('jobs-client'), ['--mocha', '--settle-timeout', '500', ...args]);
+        assert.strictEqual(result.code, 0, result.stdout);
+        models.push(result);
+    }
+    let content = readFileSync(models[0].output, { encoding: 'utf-8' });
+    assert.strictEqual(readFileSync(models[1].output, { encoding: 'utf-8' }), content);
+    assert.strictEqual(readFileSync(models[2].output, { encoding: 'utf-8' }), content);
+    assert.deepStrictEqual(models[0].model.paths.map(entry => entry.order), models[0].model.paths.map((entry, i) => i));
+
+    let report = await runRegression(models[0].output, fixture('jobs-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+});
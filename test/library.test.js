@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fixture, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('regression.js --library loads the library and its subpaths from a checkout or a tarball', async () => {
+    let result = await generateModel('mathlib', fixture('library-client', 'client.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    assert.ok(result.paths.includes("require('mathlib/lib/round')()"));
+
+    let report = await runRegression(result.output, fixture('library-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+
+    /* The checkout changed the module of the subpath only */
+    report = await runRegression(result.output, fixture('library-client'), ['--library', 'checkout']);
+    assert.deepStrictEqual(describeBreakingChanges(report), ["incompatible-return-type: require('mathlib/lib/round')()"]);
+    assert.strictEqual(report.library, 'checkout');
+
+    /* An extracted tarball keeps the unchanged library in its package directory */
+    report = await runRegression(result.output, fixture('library-client'), ['--library', 'tarball']);
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+});
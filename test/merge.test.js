@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fixture, outputFile, runTool, generateModel, loadModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('merge-models combines the models of several clients and keeps their call sites apart', async () => {
+    let reader = await generateModel('kvlib', fixture('merge-client', 'reader.js'));
+    let writer = await generateModel('kvlib', fixture('merge-client', 'writer.js'));
+    assert.strictEqual(reader.code, 0, reader.stdout);
+    assert.strictEqual(writer.code, 0, writer.stdout);
+
+    let output = outputFile('merged.json');
+    let result = await runTool('mergemodels.js', ['--output', output, reader.output, writer.output]);
+    assert.strictEqual(result.code, 0, result.stdout);
+    let merged = loadModel(output);
+    assert.deepStrictEqual(merged.model.sources, [reader.output, writer.output]);
+    /* Only the module and its function are common to both clients */
+    assert.strictEqual(merged.model.paths.length, reader.model.paths.length + writer.model.paths.length - 2);
+    assert.deepStrictEqual(merged.model.paths.slice(0, 2).map(entry => entry.sources), [[0, 1], [0, 1]]);
+    let stores = merged.model.paths.filter((entry, i) => merged.paths[i] === "require('kvlib').createStore()");
+    assert.deepStrictEqual(stores.map(entry => entry.sources), [[0], [1]]);
+    assert.notDeepStrictEqual(stores[0].path, stores[1].path);
+
+    let report = await runRegression(output, fixture('merge-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+    assert.strictEqual(report.summary.checkedPaths, merged.model.paths.length);
+});
+
+test('merge-models rejects models of different libraries', async () => {
+    let kvlib = await generateModel('kvlib', fixture('merge-client', 'reader.js'));
+    let csvlib = await generateModel('csvlib', fixture('report-client', 'client.js'));
+    let result = await runTool('mergemodels.js', ['--output', outputFile('merged.json'), kvlib.output, csvlib.output]);
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stdout, /The models are for different libraries: kvlib, csvlib/);
+});
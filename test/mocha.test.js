@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fixture, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('--mocha runs the hooks and tests of each test file in Mocha order', async () => {
+    let result = await generateModel('qs', fixture('mocha-client'), ['--mocha']);
+    assert.strictEqual(result.code, 0, result.stdout);
+    /* Not the helper in `test/support` */
+    assert.match(result.stdout, /2 of 2 client files ran without failures/);
+    assert.match(result.stdout, /root before,before,(beforeEach,afterEach,){6}after\n/);
+    assert.match(result.stdout, /Tests finished: 4 passing, 1 failing, 1 pending/);
+    assert.match(result.stdout, /Test failed: qs times out: Error: Timeout of 50ms exceeded/);
+    assert.ok(result.paths.includes("require('qs').parse()"));
+    assert.ok(result.paths.includes("require('qs').stringify()"));
+
+    let report = await runRegression(result.output, fixture('mocha-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+});
+
+test('--mocha runs the after hooks of a suite whose before hook failed', async () => {
+    let result = await generateModel('qs', fixture('mocha-client', 'test', 'hooks.js'), ['--mocha']);
+    assert.strictEqual(result.code, 0, result.stdout);
+    assert.match(result.stdout, /Tests finished: 1 passing, 1 failing, 0 pending/);
+    assert.doesNotMatch(result.stdout, /after hook not run/);
+    assert.ok(result.paths.includes("require('qs').stringify<arg0>.done"));
+});
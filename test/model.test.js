@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fixture, outputFile, runTool, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('running the same client twice gives the same versioned model', async () => {
+    let first = await generateModel('qs', fixture('qs-client', 'client.js'));
+    let second = await generateModel('qs', fixture('qs-client', 'client.js'));
+    assert.strictEqual(first.code, 0, first.stdout);
+    assert.strictEqual(readFileSync(first.output, { encoding: 'utf-8' }), readFileSync(second.output, { encoding: 'utf-8' }));
+    assert.strictEqual(first.model.version, 2);
+    let callIds = first.model.paths.flatMap(({ path }) => path.filter(pathComp => pathComp.callId !== undefined).map(pathComp => pathComp.callId));
+    assert.ok(callIds.length > 0);
+    assert.ok(callIds.every(callId => /^#\d+$/.test(callId)), callIds.join(', '));
+
+    let report = await runRegression(first.output, fixture('qs-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+});
+
+test('a model written before models were versioned is migrated', async () => {
+    let output = outputFile('report.json');
+    let result = await runTool('regression.js', ['--model', 'examples/example_model_qs.json', '--output', output]);
+    assert.strictEqual(result.code, 0, result.stdout);
+    assert.match(result.stdout, /Migrated the model from version 1 to version 2/);
+    let report = JSON.parse(readFileSync(output, { encoding: 'utf-8' }));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+});
+
+test('an invalid model is rejected with the invalid parts', async () => {
+    let model = outputFile('model.json');
+    writeFileSync(model, JSON.stringify({ version: 2, paths: [{ path: [{ compType: 'require' }], type: 'object', order: 0 }], rhoRelations: [] }));
+    let result = await runTool('regression.js', ['--model', model]);
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stdout, /Invalid model/);
+    assert.match(result.stdout, /moduleName/);
+});
@@ -0,0 +1,12 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fixture, generateModel } from './helpers.js';
+
+test('a plain client file runs with the timers, process and Buffer of Node.js', async () => {
+    let result = await generateModel('qs', fixture('plain-client', 'client.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    assert.doesNotMatch(result.stdout, /Encountered error/);
+    assert.ok(result.paths.includes("require('qs').stringify<arg0>.node"));
+    /* Called from a timer */
+    assert.ok(result.paths.includes("require('qs').parse()"));
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fixture, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('the resolution and rejection of promises are recorded and checked', async () => {
+    let result = await generateModel('promiselib', fixture('promise-client', 'client.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    let types = new Map(result.model.paths.map((entry, i) => [result.paths[i], entry.type]));
+    assert.strictEqual(types.get("require('promiselib').fetchUser()"), 'promise');
+    assert.strictEqual(types.get("require('promiselib').fetchUser()<resolve>.name"), 'string');
+    assert.strictEqual(types.get("require('promiselib').check()<reject>"), 'error');
+    assert.strictEqual(types.get("require('promiselib').delay()<resolve>"), 'number');
+
+    let report = await runRegression(result.output, fixture('promise-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+
+    report = await runRegression(result.output, fixture('promise-client'), ['--library', fixture('promise-client', 'changed', 'node_modules', 'promiselib')]);
+    assert.deepStrictEqual(describeBreakingChanges(report), [
+        "promise-outcome: require('promiselib').fetchUser()<resolve>",
+        "incompatible-type: require('promiselib').delay()<resolve>",
+        "promise-outcome: require('promiselib').pending()"
+    ]);
+});
+
+test('a promise keeps its identity and the members added to it', async () => {
+    /* The client checks that reading the same promise twice gives the same object */
+    let result = await generateModel('promiselib', fixture('promise-client', 'client.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    assert.doesNotMatch(result.stdout, /Encountered error/);
+    assert.ok(result.paths.includes("require('promiselib').start().cancel()"));
+    assert.ok(result.paths.includes("require('promiselib').start()<resolve>"));
+});
+
+test('a promise that was pending in the model and rejects is a breaking change', async () => {
+    let result = await generateModel('promiselib', fixture('promise-client', 'client.js'));
+    let report = await runRegression(result.output, fixture('promise-client'), ['--library', fixture('promise-client', 'changed', 'node_modules', 'promiselib')]);
+    let change = report.breakingChanges.find(c => c.pathString === "require('promiselib').pending()");
+    assert.strictEqual(change.expected, 'pending');
+    assert.strictEqual(change.actual, 'reject');
+    assert.strictEqual(change.reason, 'Error: closed');
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fixture, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('the receivers of calls are recorded and replayed', async () => {
+    let result = await generateModel('recvlib', fixture('receiver-client', 'client.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    let types = new Map(result.model.paths.map((entry, i) => [result.paths[i], entry.type]));
+    assert.strictEqual(types.get("require('recvlib').format<this>"), 'undefined');
+    assert.strictEqual(types.get("require('recvlib').getName<this>"), 'undefined');
+    assert.deepStrictEqual(types.get("require('recvlib').describe<this>.name"), { primType: 'string', value: 'mine' });
+    assert.strictEqual(types.get("require('recvlib').each<arg1><this>"), 'object');
+    /* The default receiver of a method is not recorded */
+    assert.ok(!result.paths.includes("require('recvlib').counter.inc<this>"));
+
+    /* The detached call of getName threw when the model was generated, which is no break */
+    let report = await runRegression(result.output, fixture('receiver-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+
+    report = await runRegression(result.output, fixture('receiver-client'), ['--library', fixture('receiver-client', 'changed', 'node_modules', 'recvlib')]);
+    assert.deepStrictEqual(describeBreakingChanges(report), [
+        "receiver-dependent: require('recvlib').format()",
+        "incompatible-type: require('recvlib').each<arg1><this>"
+    ]);
+});
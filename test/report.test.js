@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fixture, outputFile, runTool, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+const CHANGED_LIBRARY = fixture('report-client', 'changed', 'node_modules', 'csvlib');
+
+test('regression.js --output writes the breaking paths as JSON, JUnit or SARIF', async () => {
+    let result = await generateModel('csvlib', fixture('report-client'));
+    assert.strictEqual(result.code, 0, result.stdout);
+
+    let report = await runRegression(result.output, fixture('report-client'));
+    assert.deepStrictEqual(report.summary, { checkedPaths: result.model.paths.length, breakingChanges: 0, byKind: {} });
+
+    report = await runRegression(result.output, fixture('report-client'), ['--library', CHANGED_LIBRARY]);
+    assert.deepStrictEqual(describeBreakingChanges(report), [
+        "incompatible-return-type: require('csvlib').split()",
+        "missing-property: require('csvlib').split().length"
+    ]);
+    assert.deepStrictEqual(report.summary.byKind, { 'incompatible-return-type': 1, 'missing-property': 1 });
+    assert.strictEqual(report.breakingChanges[0].expected, 'array');
+    assert.strictEqual(report.breakingChanges[0].actual, 'number');
+
+    let junit = outputFile('report.xml');
+    await runTool('regression.js', ['--model', result.output, '--library', CHANGED_LIBRARY, '--output', junit, '--format', 'junit']);
+    let xml = readFileSync(junit, { encoding: 'utf-8' });
+    assert.match(xml, new RegExp(`<testsuites name="noregretsplus" tests="${result.model.paths.length}" failures="2">`));
+    assert.match(xml, /<failure type="incompatible-return-type"/);
+
+    let sarif = outputFile('report.sarif');
+    await runTool('regression.js', ['--model', result.output, '--library', CHANGED_LIBRARY, '--output', sarif, '--format', 'sarif']);
+    let log = JSON.parse(readFileSync(sarif, { encoding: 'utf-8' }));
+    assert.strictEqual(log.version, '2.1.0');
+    assert.deepStrictEqual(log.runs[0].results.map(r => r.ruleId), ['incompatible-return-type', 'missing-property']);
+});
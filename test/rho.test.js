@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { formatPath } from '../lib/report.js';
+import { fixture, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('library values written to properties or returned from callbacks are related to their paths', async () => {
+    let result = await generateModel('flowlib', fixture('flow-client', 'client.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    let relations = result.model.rhoRelations.map(([source, target]) => `${formatPath(source)} -> ${formatPath(target)}`);
+    assert.ok(relations.includes("require('flowlib').createConfig() -> require('flowlib').app.config="), relations.join('\n'));
+    assert.ok(relations.includes("require('flowlib').createConfig() -> require('flowlib').run<arg0>()"), relations.join('\n'));
+
+    /* The library gets the actual objects back, not synthesized ones missing their methods */
+    let report = await runRegression(result.output, fixture('flow-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+
+    report = await runRegression(result.output, fixture('flow-client'), ['--library', fixture('flow-client', 'changed', 'node_modules', 'flowlib')]);
+    assert.deepStrictEqual(describeBreakingChanges(report), ["incompatible-return-type: require('flowlib').run()"]);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fixture, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('client subclasses of library classes, their overrides and super calls are recorded and checked', async () => {
+    let result = await generateModel('baselib', fixture('subclass-client', 'client.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    for (let path of ["require('baselib').Base<new subclass>()", "require('baselib').Base<new subclass>()<override .transform>()", "require('baselib').Base<new subclass>()<super .describe>()"]) {
+        assert.ok(result.paths.includes(path), path);
+    }
+    /* The client using its own members is not recorded */
+    assert.ok(!result.paths.some(path => path.includes('helper')));
+
+    let report = await runRegression(result.output, fixture('subclass-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+
+    report = await runRegression(result.output, fixture('subclass-client'), ['--library', fixture('subclass-client', 'changed', 'node_modules', 'baselib')]);
+    assert.deepStrictEqual(describeBreakingChanges(report), ["callback-not-invoked: require('baselib').Base<new subclass>()<override .transform>"]);
+});
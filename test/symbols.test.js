@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fixture, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('properties keyed by well-known and registered symbols are recorded and checked', async () => {
+    let result = await generateModel('iterlib', fixture('symbol-client', 'client.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    for (let path of ["require('iterlib').list()[Symbol.iterator]()", "require('iterlib').list()[Symbol.toPrimitive]()", "require('iterlib').list()[Symbol.for(iterlib.tag)]", "require('iterlib').numbers[Symbol.iterator]"]) {
+        assert.ok(result.paths.includes(path), path);
+    }
+    assert.ok(!result.paths.some(path => path.includes('local')));
+
+    let report = await runRegression(result.output, fixture('symbol-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+
+    report = await runRegression(result.output, fixture('symbol-client'), ['--library', fixture('symbol-client', 'changed', 'node_modules', 'iterlib')]);
+    assert.deepStrictEqual(describeBreakingChanges(report), [
+        "missing-property: require('iterlib').list()[Symbol.iterator]",
+        "execution-error: require('iterlib').list()[Symbol.iterator]()",
+        "incompatible-type: require('iterlib').list()[Symbol.for(iterlib.tag)]"
+    ]);
+});
+
+test('checking for promises does not read Symbol.toStringTag of library objects', async () => {
+    let result = await generateModel('qs', fixture('qs-client', 'client.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    assert.ok(!result.paths.some(path => path.includes('Symbol.toStringTag')));
+
+    let report = await runRegression(result.output, fixture('qs-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { writeFileSync } from 'node:fs';
+import { fixture, outputFile, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('a path observed with several types is recorded with their union', async () => {
+    let result = await generateModel('unionlib', fixture('union-client', 'client.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    let current = result.model.paths[result.paths.indexOf("require('unionlib').current")];
+    assert.deepStrictEqual(current.type, { union: ['object', 'null'] });
+
+    let report = await runRegression(result.output, fixture('union-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+
+    report = await runRegression(result.output, fixture('union-client'), ['--library', fixture('union-client', 'changed', 'node_modules', 'unionlib')]);
+    assert.deepStrictEqual(describeBreakingChanges(report), [
+        "incompatible-type: require('unionlib').current",
+        "missing-property: require('unionlib').current.name"
+    ]);
+});
+
+test('the calls of a callback with arguments of different types are kept apart', async () => {
+    let result = await generateModel('unionlib', fixture('union-client', 'callback.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    /* The library called the callback with a string and then a number */
+    let callbackArgs = result.model.paths.filter((entry, i) => result.paths[i] === "require('unionlib').each<arg1><arg0>");
+    assert.deepStrictEqual(callbackArgs.map(entry => entry.type), ['string', 'number']);
+    assert.strictEqual(result.paths.filter(path => path === "require('unionlib').each<arg1>()").length, 2);
+
+    let report = await runRegression(result.output, fixture('union-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+});
+
+test('a call rejecting with another member of the union of an argument is a breaking change', async () => {
+    let result = await generateModel('unionlib', fixture('union-client', 'client.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    /* As if another client had called the function with a number at the same call site */
+    let arg = result.model.paths[result.paths.indexOf("require('unionlib').measure<arg0>")];
+    arg.type = { union: [arg.type, { primType: 'number', value: 3 }] };
+    let model = outputFile('model.json');
+    writeFileSync(model, JSON.stringify(result.model));
+
+    let report = await runRegression(model, fixture('union-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+
+    report = await runRegression(model, fixture('union-client'), ['--library', fixture('union-client', 'changed', 'node_modules', 'unionlib')]);
+    let change = report.breakingChanges.find(c => c.pathString === "require('unionlib').measure()");
+    assert.strictEqual(change.kind, 'promise-outcome');
+    assert.strictEqual(change.actual, 'reject');
+    assert.match(change.reason, /^TypeError: not a string with \{"primType":"number","value":3\} as argument 0$/);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fixture, generateModel, runRegression, describeBreakingChanges } from './helpers.js';
+
+test('arrays, Maps and Sets given to the library are synthesized as real ones', async () => {
+    let result = await generateModel('coll', fixture('values-client', 'client.js'));
+    assert.strictEqual(result.code, 0, result.stdout);
+    let types = new Map(result.model.paths.map((entry, i) => [result.paths[i], entry.type]));
+    assert.strictEqual(types.get("require('coll').sum<arg0>"), 'array');
+    assert.strictEqual(types.get("require('coll').lookup<arg0>"), 'map');
+    assert.strictEqual(types.get("require('coll').count<arg0>"), 'set');
+
+    /* Array.isArray, forEach, spreading and the size of the Set work on the synthesized values */
+    let report = await runRegression(result.output, fixture('values-client'));
+    assert.deepStrictEqual(describeBreakingChanges(report), []);
+
+    report = await runRegression(result.output, fixture('values-client'), ['--library', fixture('values-client', 'changed', 'node_modules', 'coll')]);
+    assert.deepStrictEqual(describeBreakingChanges(report), [
+        "unexpected-property-access: require('coll').first<arg0>[1]",
+        "incompatible-return-type: require('coll').first()",
+        "unexpected-property-access: require('coll').lookup<arg0>.get('a!')",
+        "incompatible-return-type: require('coll').lookup()"
+    ]);
+});